@@ -26,6 +26,7 @@ app.use(cors({
     'https://*.netlify.app'
   ],
   credentials: true,
+  exposedHeaders: ['X-Guest-Id'],
 }));
 
 /* ============================
@@ -36,7 +37,7 @@ app.use(helmet({
 }));
 
 app.use(compression());
-app.use(morgan('combined'));
+if (process.env.NODE_ENV !== 'test') app.use(morgan('combined'));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -46,24 +47,45 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use('/api/', rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
+  handler: (req, res, next, options) => {
+    // Only the first rejected request per IP and window, so a flood
+    // doesn't turn into a flood of audit rows
+    if (req.rateLimit.used === req.rateLimit.limit + 1) {
+      Logger.logSecurityEvent('rate_limit_exceeded', {
+        ip: req.ip,
+        userAgent: req.get('User-Agent') || null,
+        method: req.method,
+        path: req.originalUrl
+      });
+    }
+    res.status(options.statusCode).send(options.message);
+  },
 }));
 
 /* ============================
    ROUTES (Doğru Yol!)
 ============================ */
+const authRoutes = require('./tyt-ayt-backend-only/routes/auth');
 const chatRoutes = require('./tyt-ayt-backend-only/routes/chat');
 const youtubeRoutes = require('./tyt-ayt-backend-only/routes/youtube');
 const pythonRoutes = require('./tyt-ayt-backend-only/routes/python');
 const ragRoutes = require('./tyt-ayt-backend-only/routes/rag');
 const userRoutes = require('./tyt-ayt-backend-only/routes/user');
 const healthRoutes = require('./tyt-ayt-backend-only/routes/health');
+const adminRoutes = require('./tyt-ayt-backend-only/routes/admin');
+const guardianRoutes = require('./tyt-ayt-backend-only/routes/guardian');
+const classroomRoutes = require('./tyt-ayt-backend-only/routes/classroom');
 
+app.use('/api/auth', authRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/youtube', youtubeRoutes);
 app.use('/api/python', pythonRoutes);
 app.use('/api/rag', ragRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/health', healthRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/guardian', guardianRoutes);
+app.use('/api/classrooms', classroomRoutes);
 
 /* ============================
    LEGACY JSON DATA
@@ -124,5 +146,6 @@ async function initializeServer() {
   }
 }
 
-initializeServer();
+// Tests import the app and set up the database themselves
+if (require.main === module) initializeServer();
 module.exports = app;
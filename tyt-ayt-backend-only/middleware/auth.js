@@ -0,0 +1,159 @@
+const { v4: uuidv4 } = require('uuid');
+const Database = require('../utils/database');
+const Auth = require('../utils/auth');
+
+// Guest mode lets unauthenticated clients use the platform under a
+// per-device guest ID (sent back and forth in the X-Guest-Id header).
+// Clients can make up new IDs at will, so guest token quotas are counted
+// per IP address instead (see utils/quotas.js).
+const GUEST_MODE_ENABLED = process.env.GUEST_MODE === 'true';
+const GUEST_ID_HEADER = 'X-Guest-Id';
+const GUEST_ID_PATTERN = /^guest-[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const toRequestUser = user => ({
+  id: user.id,
+  username: user.username,
+  role: user.role,
+  plan: user.plan,
+  isGuest: false
+});
+
+// Resolve the caller from a bearer token (or guest ID) and attach it to req.user.
+// Personal access tokens are only accepted when the route declares a scope:
+// either a scope string or a function mapping the request to one (or null).
+const authenticate = ({ allowGuest = GUEST_MODE_ENABLED, scope = null } = {}) => (req, res, next) => {
+  const token = Auth.extractBearerToken(req);
+
+  if (token && Auth.isApiToken(token)) {
+    const requiredScope = typeof scope === 'function' ? scope(req) : scope;
+
+    if (!requiredScope) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'API tokens cannot be used for this endpoint'
+      });
+    }
+
+    const apiToken = Auth.verifyApiToken(token, req.ip);
+    if (!apiToken) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'API token is invalid, expired or revoked'
+      });
+    }
+
+    if (!apiToken.scopes.includes(requiredScope)) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        message: `This API token is missing the ${requiredScope} scope`
+      });
+    }
+
+    const user = Database.getUserById(apiToken.userId);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'The account for this token no longer exists'
+      });
+    }
+
+    req.auth = {
+      type: 'api_token',
+      tokenId: apiToken.id,
+      scopes: apiToken.scopes
+    };
+    req.user = toRequestUser(user);
+  } else if (token) {
+    let payload;
+    try {
+      payload = Auth.verifyAccessToken(token);
+    } catch (error) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: error.name === 'TokenExpiredError' ? 'Access token has expired' : error.message
+      });
+    }
+
+    const user = Database.getUserById(payload.sub);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid token',
+        message: 'The account for this token no longer exists'
+      });
+    }
+
+    req.auth = payload;
+    req.user = toRequestUser(user);
+  } else if (allowGuest) {
+    let guestId = req.get(GUEST_ID_HEADER);
+
+    if (!guestId || !GUEST_ID_PATTERN.test(guestId)) {
+      guestId = `guest-${uuidv4()}`;
+    }
+
+    res.set(GUEST_ID_HEADER, guestId);
+
+    req.user = {
+      id: guestId,
+      username: null,
+      role: 'guest',
+      plan: 'guest',
+      isGuest: true,
+      ip: req.ip
+    };
+  } else {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Provide an access token in the Authorization header'
+    });
+  }
+
+  // Reject attempts to act on behalf of another user
+  const claimedUserId = req.query.userId ?? req.body?.userId;
+  if (claimedUserId !== undefined && claimedUserId !== req.user.id) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'userId does not match the authenticated user'
+    });
+  }
+
+  next();
+};
+
+// Any caller: authenticated user, or guest when guest mode is enabled
+const identifyUser = authenticate();
+
+// Registered accounts only
+const requireAuth = authenticate({ allowGuest: false });
+
+// Guests get their placeholder users row only once they save something
+const storeGuestUser = (req, res, next) => {
+  if (req.user.isGuest) {
+    Database.ensureGuestUser(req.user.id);
+  }
+  next();
+};
+
+// Registered accounts holding one of the given roles
+const authorize = (...roles) => [
+  requireAuth,
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This action requires one of the following roles: ${roles.join(', ')}`
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  authenticate,
+  identifyUser,
+  requireAuth,
+  storeGuestUser,
+  authorize,
+  GUEST_ID_HEADER,
+  GUEST_ID_PATTERN
+};
@@ -0,0 +1,96 @@
+// Errors from any LLM provider, normalized for the chat routes
+class ProviderError extends Error {
+  constructor(message, { provider = null, status = 500, retryable = false, cause = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+    this.cause = cause;
+  }
+}
+
+// Every provider implements this interface. A request looks like:
+//   {
+//     system: 'optional system prompt',
+//     messages: [{ role: 'user' | 'assistant', content: '...', images }],
+//     tools: [{ name, description, parameters }], // optional, JSON Schema parameters
+//     temperature, maxOutputTokens, // optional generation settings
+//     signal                        // optional AbortSignal
+//   }
+// generate() resolves to { text, toolCalls, usage, model, provider } and
+// stream() yields { type: 'text', text } and { type: 'tool_call', toolCall }
+// chunks followed by one { type: 'usage', usage }.
+// usage is { promptTokens, completionTokens, totalTokens } (null when unknown).
+// images ([{ mimeType, data }], data base64) are only sent to providers with
+// vision; the chat routes leave them out for the others.
+// A tool call is { id, name, arguments }. To answer it, the conversation
+// continues with { role: 'assistant', content, toolCalls } and one
+// { role: 'tool', toolCallId, name, content } message per call.
+class LLMProvider {
+  constructor(name, { model = null, label = name, vision = false, tools = false } = {}) {
+    this.name = name;
+    this.label = label; // for user-facing messages
+    this.model = model;
+    this.vision = vision; // accepts image input
+    this.tools = tools; // supports tool (function) calling
+  }
+
+  isConfigured() {
+    return false;
+  }
+
+  async generate(request) {
+    throw new ProviderError(`${this.name} does not implement generate()`, { provider: this.name });
+  }
+
+  async *stream(request) {
+    // Providers without native streaming send the whole reply as one chunk
+    yield* resultChunks(await this.generate(request));
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      model: this.model,
+      vision: this.vision,
+      tools: this.tools,
+      configured: this.isConfigured()
+    };
+  }
+}
+
+// A generate() result as the chunks stream() would yield
+function* resultChunks(result) {
+  if (result.text) yield { type: 'text', text: result.text };
+  for (const toolCall of result.toolCalls || []) {
+    yield { type: 'tool_call', toolCall };
+  }
+  yield { type: 'usage', usage: result.usage };
+}
+
+// Map an HTTP status from an upstream API to a ProviderError
+function errorFromStatus(provider, status, message) {
+  let description = message || 'API request failed';
+
+  if (status === 401 || status === 403) {
+    description = `${provider.label} API access denied - check your API key`;
+  } else if (status === 429) {
+    description = `${provider.label} API rate limit exceeded`;
+  } else if (status >= 500) {
+    description = `${provider.label} API server error`;
+  }
+
+  return new ProviderError(description, {
+    provider: provider.name,
+    status,
+    retryable: status === 429 || status >= 500
+  });
+}
+
+module.exports = {
+  LLMProvider,
+  ProviderError,
+  resultChunks,
+  errorFromStatus
+};
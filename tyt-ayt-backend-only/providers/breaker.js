@@ -0,0 +1,75 @@
+// Circuit breaker for one provider. After `threshold` failed calls in a row
+// it opens and the provider is skipped for `cooldown` ms; then a single trial
+// call is let through (half open) and its outcome closes or reopens it.
+class CircuitBreaker {
+  constructor(name, { threshold = 5, cooldown = 30000 } = {}) {
+    this.name = name;
+    this.threshold = threshold;
+    this.cooldown = cooldown;
+    this.state = 'closed'; // 'closed', 'open', 'half_open'
+    this.failures = 0; // consecutive
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether a call may go to the provider now; claims the trial call when half open
+  allowRequest(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.cooldown) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  // The trial call ended without telling us anything (e.g. it was aborted)
+  release() {
+    this.trialInFlight = false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error, now = Date.now()) {
+    this.failures++;
+    this.lastFailure = { message: error.message, status: error.status || null, at: new Date(now).toISOString() };
+    this.trialInFlight = false;
+
+    if (this.state === 'half_open' || this.failures >= this.threshold) {
+      if (this.state !== 'open') {
+        console.warn(`Circuit breaker for ${this.name} opened after ${this.failures} failures: ${error.message}`);
+      }
+      this.state = 'open';
+      this.openedAt = now;
+    }
+  }
+
+  // When an open breaker lets the next trial call through
+  retryAt() {
+    return this.state === 'open' ? new Date(this.openedAt + this.cooldown) : null;
+  }
+
+  describe() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      threshold: this.threshold,
+      cooldownMs: this.cooldown,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.retryAt()?.toISOString() || null,
+      lastFailure: this.lastFailure
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,96 @@
+const { LLMProvider } = require('./base');
+
+// Deterministic provider for tests and offline development: the reply is
+// derived only from the request, so the same input always gives the same output.
+// A user message line `/tool <name> <json arguments>` makes it call that tool.
+class FakeProvider extends LLMProvider {
+  constructor({ model = 'fake-1' } = {}) {
+    super('fake', { model, label: 'Fake', vision: true, tools: true });
+  }
+
+  // Only when asked for, so deployments never offer canned answers
+  isConfigured() {
+    return process.env.LLM_PROVIDER === 'fake' || process.env.NODE_ENV === 'test';
+  }
+
+  reply({ messages }) {
+    // Answer with the results of the tool calls just made
+    const toolResults = [];
+    for (let i = messages.length - 1; i >= 0 && messages[i].role === 'tool'; i--) {
+      toolResults.unshift(`${messages[i].name}: ${messages[i].content}`);
+    }
+    if (toolResults.length > 0) {
+      return `Araç sonuçları: ${toolResults.join('; ')}`;
+    }
+
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const question = lastUserMessage ? lastUserMessage.content.trim().split('\n').pop() : '';
+    const images = lastUserMessage?.images?.length || 0;
+    return `Bu bir test cevabıdır. Soru: ${question}${images ? ` (${images} görsel)` : ''}`;
+  }
+
+  toolCallsFor({ messages, tools }) {
+    const lastMessage = messages[messages.length - 1];
+    if (!tools?.length || lastMessage?.role !== 'user') return [];
+
+    return [...lastMessage.content.matchAll(/^\/tool (\w+) (\{.*\})$/gm)]
+      .filter(([, name]) => tools.some(tool => tool.name === name))
+      .map(([, name, args], index) => ({ id: `fake-call-${index + 1}`, name, arguments: parseArguments(args) }));
+  }
+
+  countTokens(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+  }
+
+  usageFor(request, text) {
+    const promptTokens = [request.system || '', ...request.messages.map(message => message.content)]
+      .reduce((sum, content) => sum + this.countTokens(content), 0);
+    const completionTokens = this.countTokens(text);
+
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    };
+  }
+
+  async generate(request) {
+    const toolCalls = this.toolCallsFor(request);
+    const text = toolCalls.length > 0 ? '' : this.reply(request);
+
+    return {
+      text,
+      toolCalls,
+      usage: this.usageFor(request, text),
+      model: this.model,
+      provider: this.name
+    };
+  }
+
+  async *stream(request) {
+    const toolCalls = this.toolCallsFor(request);
+    const text = toolCalls.length > 0 ? '' : this.reply(request);
+
+    // One chunk per word, keeping the separating whitespace
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      if (request.signal?.aborted) return;
+      yield { type: 'text', text: piece };
+    }
+    for (const toolCall of toolCalls) {
+      yield { type: 'tool_call', toolCall };
+    }
+
+    yield { type: 'usage', usage: this.usageFor(request, text) };
+  }
+}
+
+// Malformed arguments in a directive call the tool with none
+function parseArguments(args) {
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return {};
+  }
+}
+
+module.exports = FakeProvider;
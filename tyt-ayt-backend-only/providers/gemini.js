@@ -0,0 +1,224 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { LLMProvider, ProviderError, errorFromStatus } = require('./base');
+const { readEventStream } = require('../utils/sse');
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Gemini's own filters stay on behind the chat moderation pipeline (utils/moderation).
+// GEMINI_SAFETY_THRESHOLD: BLOCK_NONE, BLOCK_ONLY_HIGH, BLOCK_MEDIUM_AND_ABOVE or BLOCK_LOW_AND_ABOVE
+const SAFETY_CATEGORIES = [
+  'HARM_CATEGORY_HARASSMENT',
+  'HARM_CATEGORY_HATE_SPEECH',
+  'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+  'HARM_CATEGORY_DANGEROUS_CONTENT'
+];
+
+class GeminiProvider extends LLMProvider {
+  constructor({
+    apiKey = process.env.GEMINI_API_KEY,
+    model = process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+    safetyThreshold = process.env.GEMINI_SAFETY_THRESHOLD || 'BLOCK_MEDIUM_AND_ABOVE',
+    timeout = 30000
+  } = {}) {
+    super('gemini', { model, label: 'Gemini', vision: true, tools: true });
+    this.apiKey = apiKey;
+    this.safetyThreshold = safetyThreshold;
+    this.timeout = timeout;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  buildRequestBody({ system, messages, tools, temperature = 0.7, maxOutputTokens = 1024 }) {
+    const body = {
+      contents: buildContents(messages),
+      generationConfig: {
+        temperature,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens,
+      },
+      safetySettings: SAFETY_CATEGORIES.map(category => ({ category, threshold: this.safetyThreshold }))
+    };
+
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+
+    if (tools?.length) {
+      body.tools = [{
+        functionDeclarations: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }))
+      }];
+    }
+
+    return body;
+  }
+
+  async generate(request) {
+    try {
+      const response = await axios.post(
+        `${GEMINI_API_BASE}/${this.model}:generateContent?key=${this.apiKey}`,
+        this.buildRequestBody(request),
+        {
+          headers: { 'Content-Type': 'application/json' },
+          signal: request.signal,
+          timeout: this.timeout
+        }
+      );
+
+      const { text, toolCalls } = readCandidate(response.data.candidates?.[0]);
+      if (!text && toolCalls.length === 0) {
+        throw this.emptyResponseError(response.data);
+      }
+
+      return {
+        text,
+        toolCalls,
+        usage: formatUsage(response.data.usageMetadata),
+        model: this.model,
+        provider: this.name
+      };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  async *stream(request) {
+    let response;
+    try {
+      response = await axios.post(
+        `${GEMINI_API_BASE}/${this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`,
+        this.buildRequestBody(request),
+        {
+          headers: { 'Content-Type': 'application/json' },
+          responseType: 'stream',
+          signal: request.signal,
+          timeout: this.timeout // without data
+        }
+      );
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+
+    // Gemini repeats cumulative usage on every chunk; the last one wins
+    let usageMetadata = null;
+
+    // Connection resets and malformed chunks mid-stream are provider errors too
+    try {
+      for await (const data of readEventStream(response.data)) {
+        const chunk = JSON.parse(data);
+        const { text, toolCalls } = readCandidate(chunk.candidates?.[0]);
+
+        if (isBlocked(chunk)) {
+          throw this.emptyResponseError(chunk);
+        }
+
+        if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+        if (text) yield { type: 'text', text };
+        for (const toolCall of toolCalls) {
+          yield { type: 'tool_call', toolCall };
+        }
+      }
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+
+    yield { type: 'usage', usage: formatUsage(usageMetadata) };
+  }
+
+  // No text: either the safety filters stopped the answer or the API misbehaved
+  emptyResponseError(data) {
+    if (isBlocked(data)) {
+      return new ProviderError('Gemini declined to answer this message (safety filters)', { provider: this.name, status: 422 });
+    }
+    return new ProviderError('No response received from Gemini API', { provider: this.name, status: 502 });
+  }
+
+  normalizeError(error) {
+    if (error instanceof ProviderError || axios.isCancel(error)) {
+      return error;
+    }
+    if (error.response) {
+      return errorFromStatus(this, error.response.status, error.response.data?.error?.message);
+    }
+    if (error.code === 'ECONNABORTED') {
+      return new ProviderError('Request timeout - try again', { provider: this.name, status: 408, retryable: true, cause: error });
+    }
+    return new ProviderError(error.message, { provider: this.name, status: 502, retryable: true, cause: error });
+  }
+}
+
+// Gemini contents: assistant turns are 'model', and tool results go back as
+// functionResponse parts (consecutive results share one turn)
+function buildContents(messages) {
+  const contents = [];
+
+  for (const message of messages) {
+    if (message.role === 'tool') {
+      const part = { functionResponse: { name: message.name, response: { result: parseToolContent(message.content) } } };
+      const previous = contents[contents.length - 1];
+
+      if (previous && previous.parts.every(existing => existing.functionResponse)) {
+        previous.parts.push(part);
+      } else {
+        contents.push({ role: 'user', parts: [part] });
+      }
+      continue;
+    }
+
+    contents.push({
+      role: message.role === 'assistant' ? 'model' : 'user',
+      parts: [
+        ...(message.content ? [{ text: message.content }] : []),
+        ...(message.images || []).map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } })),
+        ...(message.toolCalls || []).map(toolCall => ({ functionCall: { name: toolCall.name, args: toolCall.arguments } }))
+      ]
+    });
+  }
+
+  return contents;
+}
+
+function parseToolContent(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    return content;
+  }
+}
+
+function isBlocked(data) {
+  return !!data.promptFeedback?.blockReason || data.candidates?.[0]?.finishReason === 'SAFETY';
+}
+
+// Text and function calls of a candidate; Gemini does not number its calls
+function readCandidate(candidate) {
+  const parts = candidate?.content?.parts || [];
+
+  return {
+    text: parts.filter(part => part.text).map(part => part.text).join(''),
+    toolCalls: parts.filter(part => part.functionCall).map(part => ({
+      id: uuidv4(),
+      name: part.functionCall.name,
+      arguments: part.functionCall.args || {}
+    }))
+  };
+}
+
+function formatUsage(usageMetadata) {
+  if (!usageMetadata) return null;
+
+  return {
+    promptTokens: usageMetadata.promptTokenCount || 0,
+    completionTokens: usageMetadata.candidatesTokenCount || 0,
+    totalTokens: usageMetadata.totalTokenCount || 0
+  };
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,129 @@
+const { LLMProvider, ProviderError } = require('./base');
+const GeminiProvider = require('./gemini');
+const OpenAICompatibleProvider = require('./openai');
+const FakeProvider = require('./fake');
+const CircuitBreaker = require('./breaker');
+const ResilientProvider = require('./resilient');
+
+// LLM providers by name; LLM_PROVIDER picks the default and requests
+// may pick any other configured provider. Each provider has a circuit
+// breaker, and LLM_FALLBACK_PROVIDERS (comma separated, in order) are tried
+// when the requested one fails.
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+    this.breakers = new Map();
+    this.defaultProvider = process.env.LLM_PROVIDER || 'gemini';
+    this.fallbackProviders = (process.env.LLM_FALLBACK_PROVIDERS || '')
+      .split(',').map(name => name.trim()).filter(Boolean);
+    this.retryOptions = {
+      retries: readInt(process.env.LLM_MAX_RETRIES, 2),
+      baseDelay: readInt(process.env.LLM_RETRY_BASE_MS, 500),
+      maxDelay: readInt(process.env.LLM_RETRY_MAX_MS, 8000)
+    };
+    this.breakerOptions = {
+      threshold: readInt(process.env.LLM_BREAKER_THRESHOLD, 5) || 1,
+      cooldown: readInt(process.env.LLM_BREAKER_COOLDOWN_MS, 30000)
+    };
+
+    this.register(new GeminiProvider());
+    this.register(new OpenAICompatibleProvider({
+      name: 'openai',
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL || null,
+      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      vision: process.env.OPENAI_VISION !== 'false',
+      tools: process.env.OPENAI_TOOLS !== 'false'
+    }));
+    this.register(new OpenAICompatibleProvider({
+      name: 'local',
+      label: 'Local LLM',
+      apiKey: process.env.LOCAL_LLM_API_KEY,
+      baseURL: process.env.LOCAL_LLM_BASE_URL || null,
+      model: process.env.LOCAL_LLM_MODEL || null,
+      vision: process.env.LOCAL_LLM_VISION === 'true', // e.g. llava, llama3.2-vision
+      tools: process.env.LOCAL_LLM_TOOLS === 'true', // e.g. llama3.1, qwen2.5
+      timeout: 120000 // local models on CPU are slow
+    }));
+    this.register(new FakeProvider());
+  }
+
+  // Add or replace a provider (anything implementing LLMProvider)
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    this.breakers.set(provider.name, new CircuitBreaker(provider.name, this.breakerOptions));
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  // The provider to use for a request; throws a ProviderError if unusable
+  resolve(name = null) {
+    const providerName = name || this.defaultProvider;
+    const provider = this.get(providerName);
+
+    if (!provider) {
+      throw new ProviderError(
+        `Unknown provider: ${providerName}. Available: ${[...this.providers.keys()].join(', ')}`,
+        { provider: providerName, status: 400 }
+      );
+    }
+    if (!provider.isConfigured()) {
+      throw new ProviderError(
+        `${providerName} provider is not configured`,
+        { provider: providerName, status: 503 }
+      );
+    }
+
+    return new ResilientProvider(provider, {
+      ...this.retryOptions,
+      fallbacks: this.fallbackProviders
+        .filter(fallback => fallback !== providerName)
+        .map(fallback => this.get(fallback))
+        .filter(Boolean),
+      breakers: this.breakers
+    });
+  }
+
+  list() {
+    return [...this.providers.values()].map(provider => ({
+      ...provider.describe(),
+      default: provider.name === this.defaultProvider,
+      fallback: this.fallbackProviders.includes(provider.name),
+      breaker: this.breakers.get(provider.name).describe()
+    }));
+  }
+
+  // Overall LLM status: unhealthy when no configured provider can take
+  // calls, degraded when the default one (or any other) has an open breaker
+  health() {
+    const providers = this.list().filter(provider => provider.configured);
+    const available = providers.filter(provider => provider.breaker.state !== 'open');
+    const defaultAvailable = available.some(provider => provider.default);
+
+    let status = 'healthy';
+    if (available.length === 0) {
+      status = 'unhealthy';
+    } else if (!defaultAvailable || available.length < providers.length) {
+      status = 'degraded';
+    }
+
+    return {
+      status,
+      defaultProvider: this.defaultProvider,
+      fallbackProviders: this.fallbackProviders,
+      providers
+    };
+  }
+}
+
+// Like parseInt(...) || fallback, but 0 is a valid setting (e.g. no retries)
+function readInt(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+module.exports = new ProviderRegistry();
+module.exports.LLMProvider = LLMProvider;
+module.exports.ProviderError = ProviderError;
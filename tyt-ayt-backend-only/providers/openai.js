@@ -0,0 +1,179 @@
+const OpenAI = require('openai');
+const { LLMProvider, ProviderError, errorFromStatus } = require('./base');
+
+// Any endpoint speaking the OpenAI chat completions API: OpenAI itself,
+// or a local server (Ollama, llama.cpp, vLLM, LM Studio) via baseURL
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor({ name = 'openai', label = 'OpenAI', apiKey = null, baseURL = null, model, vision = false, tools = false, timeout = 30000 } = {}) {
+    super(name, { model, label, vision, tools });
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.timeout = timeout;
+    this.client = null;
+  }
+
+  isConfigured() {
+    // Hosted endpoints need a key; local servers only need an address
+    return this.baseURL ? !!this.model : !!this.apiKey;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey || 'not-needed',
+        baseURL: this.baseURL || undefined,
+        timeout: this.timeout,
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  buildMessages({ system, messages }) {
+    return [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      ...messages.map(toChatMessage)
+    ];
+  }
+
+  buildTools({ tools }) {
+    if (!tools?.length) return {};
+
+    return {
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }))
+    };
+  }
+
+  async generate(request) {
+    try {
+      const completion = await this.getClient().chat.completions.create({
+        model: this.model,
+        messages: this.buildMessages(request),
+        ...this.buildTools(request),
+        temperature: request.temperature ?? 0.7,
+        max_tokens: request.maxOutputTokens ?? 1024
+      }, { signal: request.signal });
+
+      const message = completion.choices?.[0]?.message;
+      const text = message?.content || '';
+      const toolCalls = (message?.tool_calls || []).map(toolCall => formatToolCall(toolCall.id, toolCall.function));
+      if (!text && toolCalls.length === 0) {
+        throw new ProviderError(`No response received from ${this.label} API`, { provider: this.name, status: 502 });
+      }
+
+      return {
+        text,
+        toolCalls,
+        usage: formatUsage(completion.usage),
+        model: completion.model || this.model,
+        provider: this.name
+      };
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+  }
+
+  async *stream(request) {
+    let usage = null;
+    const toolCalls = []; // arrive in fragments, by index
+
+    try {
+      const stream = await this.getClient().chat.completions.create({
+        model: this.model,
+        messages: this.buildMessages(request),
+        ...this.buildTools(request),
+        temperature: request.temperature ?? 0.7,
+        max_tokens: request.maxOutputTokens ?? 1024,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal: request.signal });
+
+      for await (const chunk of stream) {
+        const delta = chunk.choices?.[0]?.delta;
+
+        for (const fragment of delta?.tool_calls || []) {
+          const toolCall = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: null, name: '', arguments: '' });
+          if (fragment.id) toolCall.id = fragment.id;
+          if (fragment.function?.name) toolCall.name += fragment.function.name;
+          if (fragment.function?.arguments) toolCall.arguments += fragment.function.arguments;
+        }
+
+        if (chunk.usage) usage = formatUsage(chunk.usage);
+        if (delta?.content) yield { type: 'text', text: delta.content };
+      }
+    } catch (error) {
+      throw this.normalizeError(error);
+    }
+
+    for (const toolCall of toolCalls.filter(Boolean)) {
+      yield { type: 'tool_call', toolCall: formatToolCall(toolCall.id, toolCall) };
+    }
+    yield { type: 'usage', usage };
+  }
+
+  normalizeError(error) {
+    if (error instanceof ProviderError || error instanceof OpenAI.APIUserAbortError) {
+      return error;
+    }
+    if (error instanceof OpenAI.APIConnectionTimeoutError) {
+      return new ProviderError('Request timeout - try again', { provider: this.name, status: 408, retryable: true, cause: error });
+    }
+    if (error instanceof OpenAI.APIError && error.status) {
+      return errorFromStatus(this, error.status, error.error?.message || error.message);
+    }
+    return new ProviderError(error.message, { provider: this.name, status: 502, retryable: true, cause: error });
+  }
+}
+
+function toChatMessage(message) {
+  if (message.role === 'tool') {
+    return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+  }
+
+  const chatMessage = { role: message.role, content: message.content };
+
+  if (message.images?.length) {
+    chatMessage.content = [
+      ...(message.content ? [{ type: 'text', text: message.content }] : []),
+      ...message.images.map(image => ({ type: 'image_url', image_url: { url: `data:${image.mimeType};base64,${image.data}` } }))
+    ];
+  }
+
+  if (message.toolCalls?.length) {
+    chatMessage.content = message.content || null;
+    chatMessage.tool_calls = message.toolCalls.map(toolCall => ({
+      id: toolCall.id,
+      type: 'function',
+      function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments) }
+    }));
+  }
+
+  return chatMessage;
+}
+
+// Arguments come as a JSON string; malformed ones are passed on for the tool to reject
+function formatToolCall(id, { name, arguments: args }) {
+  let parsed;
+  try {
+    parsed = args ? JSON.parse(args) : {};
+  } catch (error) {
+    parsed = { _invalid: args };
+  }
+
+  return { id, name, arguments: parsed };
+}
+
+function formatUsage(usage) {
+  if (!usage) return null;
+
+  return {
+    promptTokens: usage.prompt_tokens || 0,
+    completionTokens: usage.completion_tokens || 0,
+    totalTokens: usage.total_tokens || 0
+  };
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,159 @@
+const { LLMProvider, ProviderError } = require('./base');
+
+// Wraps the provider picked for one chat request. Retryable errors (429,
+// 5xx, timeouts) are retried with jittered exponential backoff; a provider
+// that keeps failing (or whose circuit breaker is open) is replaced by the
+// next fallback that can handle the request. name/model/label follow the
+// provider that actually answered, and fallbackFrom names the one requested.
+class ResilientProvider extends LLMProvider {
+  constructor(primary, { fallbacks = [], breakers, retries = 2, baseDelay = 500, maxDelay = 8000 } = {}) {
+    super(primary.name, { model: primary.model, label: primary.label, vision: primary.vision, tools: primary.tools });
+    this.primary = primary;
+    this.fallbacks = fallbacks;
+    this.breakers = breakers; // shared by all requests, by provider name
+    this.retries = retries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.fallbackFrom = null;
+  }
+
+  isConfigured() {
+    return this.primary.isConfigured();
+  }
+
+  describe() {
+    return this.primary.describe();
+  }
+
+  async generate(request) {
+    let result;
+    for await (const chunk of this.run(request, generateOnce)) {
+      result = chunk.result;
+    }
+    return result;
+  }
+
+  async *stream(request) {
+    yield* this.run(request, (provider, adapted) => provider.stream(adapted));
+  }
+
+  // Primary first, then the configured fallbacks that can take this request
+  candidates(request) {
+    const hasImages = request.messages.some(message => message.images?.length);
+    const hasToolTurns = request.messages.some(message => message.role === 'tool' || message.toolCalls?.length);
+
+    return [
+      this.primary,
+      ...this.fallbacks.filter(provider =>
+        provider.isConfigured() && (!hasImages || provider.vision) && (!hasToolTurns || provider.tools))
+    ];
+  }
+
+  // Fallbacks without tool support still answer, just without tools
+  adapt(provider, request) {
+    return provider.tools || !request.tools ? request : { ...request, tools: undefined };
+  }
+
+  use(provider) {
+    this.name = provider.name;
+    this.model = provider.model;
+    this.label = provider.label;
+    this.fallbackFrom = provider === this.primary ? null : this.primary.name;
+  }
+
+  async *run(request, call) {
+    let lastError = null;
+
+    for (const provider of this.candidates(request)) {
+      const breaker = this.breakers.get(provider.name);
+
+      if (lastError) {
+        console.warn(`LLM fallback to ${provider.name}: ${lastError.message}`);
+      }
+
+      for (let attempt = 0; attempt <= this.retries; attempt++) {
+        if (!breaker.allowRequest()) {
+          lastError = lastError || unavailableError(provider, breaker);
+          break;
+        }
+
+        let started = false;
+        try {
+          for await (const chunk of call(provider, this.adapt(provider, request))) {
+            if (!started) {
+              started = true;
+              this.use(provider);
+            }
+            yield chunk;
+          }
+          breaker.recordSuccess();
+          return;
+        } catch (error) {
+          if (request.signal?.aborted || !(error instanceof ProviderError)) {
+            throw error;
+          }
+          if (!isProviderFault(error)) {
+            // The provider is up; the request itself was refused
+            breaker.recordSuccess();
+            throw error;
+          }
+
+          breaker.recordFailure(error);
+          // Part of the answer already reached the client; starting over would repeat it
+          if (started) throw error;
+
+          lastError = error;
+          if (!error.retryable) break;
+          if (attempt < this.retries) {
+            await sleep(backoffDelay(attempt, this.baseDelay, this.maxDelay), request.signal);
+          }
+        } finally {
+          // Aborted or abandoned calls give up a half-open breaker's trial
+          breaker.release();
+        }
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+async function* generateOnce(provider, request) {
+  yield { type: 'result', result: await provider.generate(request) };
+}
+
+// Errors that say something about the provider rather than the request:
+// worth retrying (if retryable), counting against its breaker and falling back from
+function isProviderFault(error) {
+  return error.retryable || [401, 403, 404].includes(error.status);
+}
+
+function unavailableError(provider, breaker) {
+  const seconds = Math.max(Math.ceil((breaker.retryAt() - Date.now()) / 1000), 1);
+
+  return new ProviderError(`${provider.label} API is temporarily unavailable - try again in ${seconds}s`, {
+    provider: provider.name,
+    status: 503,
+    retryable: true
+  });
+}
+
+// "Full jitter": a random delay up to the exponential backoff ceiling
+function backoffDelay(attempt, baseDelay, maxDelay) {
+  return Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+// Resolves early if the request is aborted; the next call then fails fast
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    }
+    signal?.addEventListener('abort', done);
+  });
+}
+
+module.exports = ResilientProvider;
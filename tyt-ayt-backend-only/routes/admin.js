@@ -0,0 +1,437 @@
+const express = require('express');
+const Joi = require('joi');
+const Database = require('../utils/database');
+const Auth = require('../utils/auth');
+const Logger = require('../utils/logger');
+const TokenQuota = require('../utils/quotas');
+const Moderation = require('../utils/moderation');
+const { authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every admin route requires the admin role
+router.use(authorize('admin'));
+
+const roleSchema = Joi.object({
+  role: Joi.string().valid(...Auth.roles).required()
+});
+
+const planSchema = Joi.object({
+  plan: Joi.string().valid(...TokenQuota.getPlanNames()).required()
+});
+
+const auditQuerySchema = Joi.object({
+  userId: Joi.string().max(100),
+  eventType: Joi.string().max(100),
+  severity: Joi.string().valid('low', 'medium', 'high'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(500).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const feedbackSummarySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+const feedbackQuerySchema = Joi.object({
+  tutorMode: Joi.string().max(50),
+  ragCategory: Joi.string().max(100),
+  provider: Joi.string().max(50),
+  reportedOnly: Joi.boolean().default(false),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const moderationSummarySchema = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+});
+
+const moderationQuerySchema = Joi.object({
+  action: Joi.string().valid('redact', 'warn', 'block'),
+  category: Joi.string().max(100),
+  userId: Joi.string().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// List user accounts
+router.get('/users', async (req, res) => {
+  try {
+    const { role = null, limit = 50, offset = 0 } = req.query;
+
+    const { total, users } = Database.listUsers(role, parseInt(limit), parseInt(offset));
+
+    res.json({
+      success: true,
+      data: {
+        role,
+        total,
+        users: users.map(user => ({
+          id: user.id,
+          username: user.username,
+          email: user.email,
+          role: user.role,
+          plan: user.plan,
+          createdAt: user.created_at,
+          updatedAt: user.updated_at
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      error: 'Failed to list users',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Change a user's role
+router.put('/users/:userId/role', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { error, value } = roleSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: error.details[0].message
+      });
+    }
+
+    if (userId === req.user.id && value.role !== 'admin') {
+      return res.status(400).json({
+        error: 'Invalid role change',
+        message: 'Admins cannot remove their own admin role'
+      });
+    }
+
+    const user = Database.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: `User ${userId} does not exist`
+      });
+    }
+
+    Database.updateUserRole(userId, value.role);
+
+    Logger.logSecurityEvent('admin_role_changed', {
+      ...Logger.getRequestContext(req),
+      targetUserId: userId,
+      previousRole: user.role,
+      newRole: value.role
+    }, 'high');
+
+    res.json({
+      success: true,
+      data: Auth.formatUser(Database.getUserById(userId)),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      error: 'Failed to update role',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Change a user's LLM token quota plan
+router.put('/users/:userId/plan', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { error, value } = planSchema.validate(req.body);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid plan',
+        message: error.details[0].message
+      });
+    }
+
+    const user = Database.getUserById(userId);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: `User ${userId} does not exist`
+      });
+    }
+
+    Database.updateUserPlan(userId, value.plan);
+
+    Logger.logSecurityEvent('admin_plan_changed', {
+      ...Logger.getRequestContext(req),
+      targetUserId: userId,
+      previousPlan: user.plan,
+      newPlan: value.plan
+    }, 'medium');
+
+    res.json({
+      success: true,
+      data: Auth.formatUser(Database.getUserById(userId)),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Update plan error:', error);
+    res.status(500).json({
+      error: 'Failed to update plan',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Query the security audit trail
+router.get('/audit', async (req, res) => {
+  try {
+    const { error, value } = auditQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid audit filters',
+        message: error.details[0].message
+      });
+    }
+
+    const { total, events } = Database.getAuditEvents({
+      ...value,
+      from: value.from?.toISOString(),
+      to: value.to?.toISOString()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        limit: value.limit,
+        offset: value.offset,
+        events: events.map(event => ({
+          id: event.id,
+          eventType: event.event_type,
+          severity: event.severity,
+          userId: event.user_id,
+          ipAddress: event.ip_address,
+          userAgent: event.user_agent,
+          details: JSON.parse(event.details || '{}'),
+          createdAt: event.created_at
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Audit query error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve audit events',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Answer quality by tutor mode, RAG category and provider, weakest first
+router.get('/feedback/summary', async (req, res) => {
+  try {
+    const { error, value } = feedbackSummarySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid feedback filters',
+        message: error.details[0].message
+      });
+    }
+
+    const range = { from: value.from?.toISOString(), to: value.to?.toISOString() };
+    const summarize = groupBy => Database.getFeedbackSummary(groupBy, range).map(row => ({
+      name: row.name,
+      total: row.total,
+      up: row.up,
+      down: row.down,
+      reported: row.reported,
+      negativeRate: Math.round((row.negative / row.total) * 1000) / 1000 // down or reported
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        from: range.from || null,
+        to: range.to || null,
+        byTutorMode: summarize('tutorMode'),
+        byRagCategory: summarize('ragCategory'),
+        byProvider: summarize('provider')
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Feedback summary error:', error);
+    res.status(500).json({
+      error: 'Failed to summarize feedback',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Thumbs-down and incorrect-answer reports with the question and answer
+router.get('/feedback', async (req, res) => {
+  try {
+    const { error, value } = feedbackQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid feedback filters',
+        message: error.details[0].message
+      });
+    }
+
+    const { total, feedback } = Database.getNegativeFeedback({
+      ...value,
+      from: value.from?.toISOString(),
+      to: value.to?.toISOString()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        limit: value.limit,
+        offset: value.offset,
+        feedback: feedback.map(item => ({
+          id: item.id,
+          messageId: item.message_id,
+          sessionId: item.session_id,
+          userId: item.user_id,
+          rating: item.rating,
+          reportedIncorrect: !!item.reported,
+          category: item.category,
+          comment: item.comment,
+          tutorMode: item.tutor_mode,
+          ragCategory: item.rag_category,
+          provider: item.provider,
+          model: item.model,
+          question: item.question,
+          answer: item.answer,
+          updatedAt: item.updated_at
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Feedback query error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve feedback',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Chat messages that were masked, warned about or blocked (masked text only)
+router.get('/moderation/flags', async (req, res) => {
+  try {
+    const { error, value } = moderationQuerySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid moderation filters',
+        message: error.details[0].message
+      });
+    }
+
+    const { total, flags } = Database.getModerationFlags({
+      ...value,
+      from: value.from?.toISOString(),
+      to: value.to?.toISOString()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        limit: value.limit,
+        offset: value.offset,
+        flags: flags.map(flag => ({
+          id: flag.id,
+          userId: flag.user_id,
+          sessionId: flag.session_id,
+          messageId: flag.message_id,
+          action: flag.action,
+          categories: JSON.parse(flag.categories),
+          redactions: JSON.parse(flag.redactions),
+          excerpt: flag.excerpt,
+          createdAt: flag.created_at
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Moderation flags error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve moderation flags',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Flag counts per action and rule category, and masked PII per type
+router.get('/moderation/summary', async (req, res) => {
+  try {
+    const { error, value } = moderationSummarySchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid moderation filters',
+        message: error.details[0].message
+      });
+    }
+
+    const range = { from: value.from?.toISOString(), to: value.to?.toISOString() };
+
+    res.json({
+      success: true,
+      data: {
+        from: range.from || null,
+        to: range.to || null,
+        ...Database.getModerationSummary(range)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Moderation summary error:', error);
+    res.status(500).json({
+      error: 'Failed to summarize moderation flags',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Active PII patterns and topic rules (see MODERATION_RULES)
+router.get('/moderation/rules', (req, res) => {
+  res.json({
+    success: true,
+    data: Moderation.getRules(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,663 @@
+const express = require('express');
+const Joi = require('joi');
+const Database = require('../utils/database');
+const Auth = require('../utils/auth');
+const Mailer = require('../utils/mailer');
+const Logger = require('../utils/logger');
+const { requireAuth, GUEST_ID_HEADER, GUEST_ID_PATTERN } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validation schemas
+const registerSchema = Joi.object({
+  username: Joi.string().alphanum().min(3).max(30).required(),
+  email: Joi.string().email().max(254).required(),
+  password: Joi.string().min(8).max(128).required(),
+  deviceName: Joi.string().max(100)
+});
+
+const loginSchema = Joi.object({
+  login: Joi.string().max(254).required(), // username or email
+  password: Joi.string().max(128).required(),
+  deviceName: Joi.string().max(100)
+});
+
+const refreshSchema = Joi.object({
+  refreshToken: Joi.string().max(256).required()
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().max(254).required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().max(256).required(),
+  password: Joi.string().min(8).max(128).required()
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().max(256).required()
+});
+
+const apiTokenSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...Object.keys(Auth.apiTokenScopes)))
+    .min(1)
+    .unique()
+    .required(),
+  expiresInDays: Joi.number().integer().min(1).max(Auth.apiTokenMaxTTLDays).default(90)
+});
+
+const claimGuestSchema = Joi.object({
+  guestId: Joi.string().pattern(GUEST_ID_PATTERN).required()
+});
+
+// Register a new account
+router.post('/register', async (req, res) => {
+  try {
+    const { error, value } = registerSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid registration data',
+        message: error.details[0].message
+      });
+    }
+
+    const username = value.username;
+    const email = value.email.toLowerCase();
+
+    const existing = Database.findExistingUser(username, email);
+    if (existing) {
+      return res.status(409).json({
+        error: 'Account already exists',
+        message: existing.email === email
+          ? 'This email is already registered'
+          : 'This username is already taken'
+      });
+    }
+
+    const passwordHash = await Auth.hashPassword(value.password);
+    const userId = Database.createUser(username, email, passwordHash);
+    const user = Database.getUserById(userId);
+
+    await sendVerificationEmail(user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        user: Auth.formatUser(user),
+        ...Auth.startSession(user, req, value.deviceName)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({
+      error: 'Registration failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Log in with username or email
+router.post('/login', async (req, res) => {
+  try {
+    const { error, value } = loginSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid login data',
+        message: error.details[0].message
+      });
+    }
+
+    const user = Database.getUserByLogin(value.login);
+    const passwordValid = user && await Auth.verifyPassword(value.password, user.password_hash);
+
+    if (!passwordValid) {
+      Logger.logSecurityEvent('login_failed', {
+        ...Logger.getRequestContext(req),
+        userId: user?.id || null,
+        loginHash: Auth.hashLogin(value.login)
+      });
+
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Username/email or password is incorrect'
+      });
+    }
+
+    const tokens = Auth.startSession(user, req, value.deviceName);
+
+    Logger.logSecurityEvent('login_success', {
+      ...Logger.getRequestContext(req),
+      userId: user.id,
+      sessionId: tokens.sessionId
+    }, 'low');
+
+    res.json({
+      success: true,
+      data: {
+        user: Auth.formatUser(user),
+        ...tokens
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { error, value } = refreshSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid refresh data',
+        message: error.details[0].message
+      });
+    }
+
+    const rotated = Auth.rotateRefreshToken(value.refreshToken);
+
+    if (!rotated) {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        message: 'Refresh token is invalid, expired or revoked - please log in again'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user: Auth.formatUser(rotated.user),
+        ...rotated.tokens
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Token refresh failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Log out (end the current device session)
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    Database.revokeAuthSession(req.user.id, req.auth.sid);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get the current account
+router.get('/me', requireAuth, async (req, res) => {
+  try {
+    const user = Database.getUserById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The account for this token no longer exists'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: Auth.formatUser(user),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve user',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Request a password reset email
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const { error, value } = forgotPasswordSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid email',
+        message: error.details[0].message
+      });
+    }
+
+    const user = Database.getUserByEmail(value.email);
+
+    // Sent in the background: waiting for the mail server (or its failure)
+    // would show whether the email has an account
+    if (user) {
+      const token = Auth.createOneTimeToken(user.id, 'password_reset', Auth.passwordResetTTLMinutes);
+      Mailer.sendPasswordReset(user, token, Auth.passwordResetTTLMinutes)
+        .catch(error => console.error('Password reset email failed:', error.message));
+    }
+
+    // Same response whether or not the email exists
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Failed to send password reset email',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Set a new password with a reset token
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { error, value } = resetPasswordSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid reset data',
+        message: error.details[0].message
+      });
+    }
+
+    const userId = Auth.consumeOneTimeToken(value.token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid reset token',
+        message: 'Reset link is invalid, expired or already used'
+      });
+    }
+
+    Database.updatePassword(userId, await Auth.hashPassword(value.password));
+
+    // Sign out everywhere: whoever had the old password loses access,
+    // including through API tokens they created
+    Database.revokeAllAuthSessions(userId);
+    Database.revokeAllApiTokens(userId);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset - please log in again',
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Password reset failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Resend the email verification link
+router.post('/email/verification', requireAuth, async (req, res) => {
+  try {
+    const user = Database.getUserById(req.user.id);
+
+    if (user.email_verified_at) {
+      return res.status(400).json({
+        error: 'Email already verified',
+        message: 'This email address has already been verified'
+      });
+    }
+
+    const token = Auth.createOneTimeToken(user.id, 'email_verification', Auth.emailVerificationTTLMinutes);
+    await Mailer.sendEmailVerification(user, token, Auth.emailVerificationTTLMinutes);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Send verification error:', error);
+    res.status(500).json({
+      error: 'Failed to send verification email',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Confirm an email address with a verification token
+router.post('/email/verify', async (req, res) => {
+  try {
+    const { error, value } = verifyEmailSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid verification data',
+        message: error.details[0].message
+      });
+    }
+
+    const userId = Auth.consumeOneTimeToken(value.token, 'email_verification');
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Invalid verification token',
+        message: 'Verification link is invalid, expired or already used'
+      });
+    }
+
+    Database.markEmailVerified(userId);
+
+    // ADMIN_EMAILS only count once the address is proven to belong to the caller
+    const user = Database.getUserById(userId);
+    if (user.role !== 'admin' && Auth.isAdminEmail(user.email)) {
+      Database.updateUserRole(userId, 'admin');
+
+      Logger.logSecurityEvent('admin_role_granted', {
+        ...Logger.getRequestContext(req),
+        userId,
+        previousRole: user.role,
+        newRole: 'admin',
+        reason: 'admin_email_verified'
+      }, 'high');
+    }
+
+    res.json({
+      success: true,
+      data: Auth.formatUser(Database.getUserById(userId)),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Email verification failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Move a guest's activity into the signed-in account
+router.post('/guest/claim', requireAuth, async (req, res) => {
+  try {
+    const { error, value } = claimGuestSchema.validate(
+      { guestId: req.body.guestId || req.get(GUEST_ID_HEADER) },
+      { stripUnknown: true }
+    );
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid guest ID',
+        message: error.details[0].message
+      });
+    }
+
+    const guest = Database.getUserById(value.guestId);
+
+    if (!guest || !JSON.parse(guest.profile_data || '{}').guest) {
+      return res.status(404).json({
+        error: 'Guest not found',
+        message: `No guest activity found for ${value.guestId}`
+      });
+    }
+
+    const result = Database.mergeGuestIntoUser(guest.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        guestId: guest.id,
+        userId: req.user.id,
+        ...result
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Claim guest error:', error);
+    res.status(500).json({
+      error: 'Failed to migrate guest data',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List signed-in devices
+router.get('/sessions', requireAuth, async (req, res) => {
+  try {
+    const sessions = Database.getUserAuthSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        total: sessions.length,
+        sessions: sessions.map(session => ({
+          id: session.id,
+          deviceName: session.device_name,
+          userAgent: session.user_agent,
+          ipAddress: session.ip_address,
+          createdAt: session.created_at,
+          lastActiveAt: session.last_active_at,
+          current: session.id === req.auth.sid
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Sign out of all other devices and revoke all API tokens
+router.delete('/sessions', requireAuth, async (req, res) => {
+  try {
+    const revoked = Database.revokeOtherAuthSessions(req.user.id, req.auth.sid);
+    const revokedTokens = Database.revokeAllApiTokens(req.user.id);
+
+    res.json({
+      success: true,
+      data: { revoked, revokedTokens },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Sign out of a specific device
+router.delete('/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!Database.revokeAuthSession(req.user.id, sessionId)) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `Session ${sessionId} does not exist or is already signed out`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Session ${sessionId} signed out successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List the scopes a personal access token can be granted
+router.get('/tokens/scopes', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      scopes: Object.entries(Auth.apiTokenScopes).map(([scope, description]) => ({ scope, description }))
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+// List personal access tokens
+router.get('/tokens', requireAuth, async (req, res) => {
+  try {
+    const tokens = Database.getUserApiTokens(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        total: tokens.length,
+        tokens: tokens.map(token => Auth.formatApiToken(token))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List API tokens error:', error);
+    res.status(500).json({
+      error: 'Failed to list API tokens',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Create a personal access token (the token value is only shown once)
+router.post('/tokens', requireAuth, async (req, res) => {
+  try {
+    const { error, value } = apiTokenSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid token data',
+        message: error.details[0].message
+      });
+    }
+
+    const { id, token } = Auth.createApiToken(req.user.id, value.name, value.scopes, value.expiresInDays);
+
+    Logger.logSecurityEvent('api_token_created', {
+      ...Logger.getRequestContext(req),
+      tokenId: id,
+      scopes: value.scopes
+    }, 'low');
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...Auth.formatApiToken(Database.getApiToken(req.user.id, id)),
+        token
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Create API token error:', error);
+    res.status(500).json({
+      error: 'Failed to create API token',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Revoke a personal access token
+router.delete('/tokens/:tokenId', requireAuth, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    if (!Database.revokeApiToken(req.user.id, tokenId)) {
+      return res.status(404).json({
+        error: 'Token not found',
+        message: `API token ${tokenId} does not exist or is already revoked`
+      });
+    }
+
+    Logger.logSecurityEvent('api_token_revoked', {
+      ...Logger.getRequestContext(req),
+      tokenId
+    }, 'low');
+
+    res.json({
+      success: true,
+      message: `API token ${tokenId} revoked successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API token',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Helper functions
+async function sendVerificationEmail(user) {
+  // A mail failure should not block registration; the user can request a resend
+  try {
+    const token = Auth.createOneTimeToken(user.id, 'email_verification', Auth.emailVerificationTTLMinutes);
+    await Mailer.sendEmailVerification(user, token, Auth.emailVerificationTTLMinutes);
+  } catch (error) {
+    console.warn('Verification email failed:', error.message);
+  }
+}
+
+module.exports = router;
@@ -1,46 +1,249 @@
 const express = require('express');
-const axios = require('axios');
+const multer = require('multer');
+const Joi = require('joi');
 const { v4: uuidv4 } = require('uuid');
 const Database = require('../utils/database');
 const RAGSystem = require('../utils/rag');
+const Providers = require('../providers');
+const { ProviderError } = Providers;
+const activeSessions = require('../utils/sessions');
+const ConversationMemory = require('../utils/conversation');
+const TokenQuota = require('../utils/quotas');
+const Moderation = require('../utils/moderation');
+const Logger = require('../utils/logger');
+const { formatSourcesForPrompt, extractCitations } = require('../utils/citations');
+const { getToolDefinitions } = require('../utils/tools');
+const { runAgentTurn, summarizeInvocation } = require('../utils/agent');
+const {
+  TRANSCRIPT_FORMATS,
+  buildTranscript,
+  renderMarkdown,
+  renderHTML,
+  createPDF
+} = require('../utils/transcript');
+const {
+  MAX_IMAGES,
+  MAX_IMAGE_BYTES,
+  IMAGE_TYPES,
+  detectImageType,
+  saveAttachments,
+  attachmentPath,
+  removeAttachmentFiles,
+  formatAttachment
+} = require('../utils/attachments');
+const {
+  DEFAULT_MODE,
+  getTutorMode,
+  listTutorModes,
+  wantsAnswerRevealed,
+  buildSystemPrompt
+} = require('../utils/tutors');
+const { identifyUser, storeGuestUser } = require('../middleware/auth');
+const { openEventStream, writeEvent } = require('../utils/sse');
 
 const router = express.Router();
 
-// Gemini AI Configuration
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent';
+// Middleware to pick the LLM provider (body.provider, else LLM_PROVIDER)
+const resolveProvider = (req, res, next) => {
+  try {
+    req.provider = Providers.resolve(req.body?.provider);
+    next();
+  } catch (error) {
+    res.status(error.status).json({
+      error: 'Provider unavailable',
+      message: error.message,
+      providers: Providers.list().filter(provider => provider.configured).map(provider => provider.name)
+    });
+  }
+};
 
-// Chat session storage (in-memory for demo, use Redis in production)
-const activeSessions = new Map();
+// Middleware to refuse new turns once the caller's token budget is used up
+const enforceTokenQuota = (req, res, next) => {
+  const quota = TokenQuota.getStatus(req.user);
+  if (!quota.exceeded) return next();
 
-// Middleware to check API key
-const checkApiKey = (req, res, next) => {
-  if (!GEMINI_API_KEY) {
-    return res.status(500).json({
-      error: 'Gemini API Key not configured',
-      message: 'Please set GEMINI_API_KEY in environment variables',
-      help: 'Get your API key from https://makersuite.google.com/app/apikey'
-    });
+  const { limit, resetAt } = quota[quota.exceeded];
+  const period = quota.exceeded === 'daily' ? 'Daily' : 'Monthly';
+
+  Logger.logSecurityEvent('token_quota_exceeded', {
+    ...Logger.getRequestContext(req),
+    plan: quota.plan,
+    period: quota.exceeded
+  }, 'low');
+
+  res.set('Retry-After', Math.ceil((new Date(resetAt) - Date.now()) / 1000));
+  res.status(429).json({
+    error: 'Token quota exceeded',
+    message: `${period} token limit of your ${quota.plan} plan (${limit} tokens) is used up. It resets at ${resetAt}.`,
+    quota
+  });
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { files: MAX_IMAGES, fileSize: MAX_IMAGE_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES[file.mimetype]) return cb(null, true);
+    cb(Object.assign(new Error(`${file.originalname} is not a JPEG, PNG or WebP image`), { status: 415 }));
   }
-  next();
+});
+
+// Middleware to accept images (field `images`) on multipart/form-data
+// requests; JSON requests pass through untouched
+const acceptImages = (req, res, next) => {
+  upload.array('images', MAX_IMAGES)(req, res, error => {
+    if (error) {
+      let status = error.status || 400;
+      let message = error.message;
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        status = 413;
+        message = `Images must be at most ${+(MAX_IMAGE_BYTES / 1024 / 1024).toFixed(2)} MB`;
+      } else if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+        message = `Attach at most ${MAX_IMAGES} images in the "images" field`;
+      }
+
+      return res.status(status).json({
+        error: 'Invalid attachment',
+        message
+      });
+    }
+
+    // The declared type is only a hint; check the file contents too
+    const invalid = (req.files || []).find(file => !detectImageType(file.buffer));
+    if (invalid) {
+      return res.status(415).json({
+        error: 'Invalid attachment',
+        message: `${invalid.originalname} is not a JPEG, PNG or WebP image`
+      });
+    }
+
+    next();
+  });
 };
 
+const SESSION_TITLE_LENGTH = 60;
+const CACHED_MESSAGES = 50;
+
+const sessionListSchema = Joi.object({
+  archived: Joi.string().valid('true', 'false', 'all').default('false'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const FEEDBACK_CATEGORIES = [
+  'wrong_answer',
+  'calculation_error',
+  'wrong_source',
+  'off_topic',
+  'incomplete',
+  'unclear',
+  'inappropriate',
+  'other'
+];
+
+const feedbackSchema = Joi.object({
+  rating: Joi.string().valid('up', 'down').allow(null),
+  reportIncorrect: Joi.boolean(),
+  category: Joi.string().valid(...FEEDBACK_CATEGORIES).allow(null),
+  comment: Joi.string().trim().max(1000).allow('', null)
+}).or('rating', 'reportIncorrect');
+
+const sessionUpdateSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200),
+  archived: Joi.boolean()
+}).min(1);
+
+// Get a session (cached messages included) only if it belongs to the given
+// user; sessions not in memory are reloaded from the database
+const getOwnedSession = (sessionId, userId) => {
+  const cached = activeSessions.get(sessionId);
+  if (cached) {
+    return cached.userId === userId ? cached : null;
+  }
+
+  const chatSession = Database.getChatSession(sessionId);
+  if (!chatSession || chatSession.user_id !== userId) {
+    return null;
+  }
+
+  const session = {
+    id: sessionId,
+    userId,
+    messages: Database.getChatHistory(userId, sessionId, CACHED_MESSAGES).reverse().map(row => ({
+      id: row.id,
+      content: row.message,
+      role: row.is_user ? 'user' : 'assistant',
+      timestamp: row.timestamp
+    })),
+    createdAt: chatSession.created_at,
+    lastActivity: chatSession.last_activity_at
+  };
+  activeSessions.set(sessionId, session);
+
+  return session;
+};
+
+// List the caller's chat sessions, most recently active first
+router.get('/sessions', identifyUser, async (req, res) => {
+  try {
+    const { error, value } = sessionListSchema.validate(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid query',
+        message: error.details[0].message
+      });
+    }
+
+    const archived = value.archived === 'all' ? null : value.archived === 'true';
+    const { total, sessions } = Database.getUserChatSessions(req.user.id, {
+      archived,
+      limit: value.limit,
+      offset: value.offset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        limit: value.limit,
+        offset: value.offset,
+        sessions: sessions.map(formatChatSession)
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('List chat sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      message: error.message
+    });
+  }
+});
+
 // Get chat history for a session
-router.get('/history/:sessionId', async (req, res) => {
+router.get('/history/:sessionId', identifyUser, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const { userId = 'demo-user' } = req.query;
+    const userId = req.user.id;
 
     // Get from database
     const chatHistory = Database.getChatHistory(userId, sessionId, 100);
+    const attachments = chatHistory.length > 0 ? Database.getSessionChatAttachments(sessionId) : [];
+    const feedback = chatHistory.length > 0 ? Database.getSessionMessageFeedback(sessionId, userId) : [];
     
     // Also get from active session cache
-    const activeSession = activeSessions.get(sessionId);
+    const activeSession = getOwnedSession(sessionId, userId);
     
     res.json({
       success: true,
       sessionId,
-      history: chatHistory.reverse(),
+      history: chatHistory.reverse().map(row => ({
+        ...row,
+        attachments: attachments.filter(attachment => attachment.message_id === row.id).map(formatAttachment),
+        feedback: formatFeedback(feedback.find(item => item.message_id === row.id))
+      })),
       activeMessages: activeSession?.messages || []
     });
   } catch (error) {
@@ -53,179 +256,46 @@ router.get('/history/:sessionId', async (req, res) => {
 });
 
 // Send message to AI
-router.post('/message', checkApiKey, async (req, res) => {
+router.post('/message', identifyUser, enforceTokenQuota, storeGuestUser, acceptImages, resolveProvider, async (req, res) => {
   try {
-    const {
-      message,
-      sessionId = uuidv4(),
-      userId = 'demo-user',
-      context = [],
-      useRAG = true,
-      category = null
-    } = req.body;
-
-    if (!message || typeof message !== 'string' || message.trim().length === 0) {
-      return res.status(400).json({
-        error: 'Invalid message',
-        message: 'Message must be a non-empty string'
-      });
-    }
+    const turn = await startChatTurn(req, res);
+    if (!turn) return;
 
-    // Create or get active session
-    if (!activeSessions.has(sessionId)) {
-      activeSessions.set(sessionId, {
-        id: sessionId,
-        userId,
-        messages: [],
-        createdAt: new Date().toISOString(),
-        lastActivity: new Date().toISOString()
-      });
-    }
+    const { sessionId, userMessage, mode, useRAG, ragContext, searchResults, attachments } = turn;
 
-    const session = activeSessions.get(sessionId);
-    session.lastActivity = new Date().toISOString();
+    const { provider } = req;
+    let reply = '';
+    let turnUsage = null;
+    const toolInvocations = [];
 
-    // Add user message to session
-    const userMessage = {
-      id: uuidv4(),
-      content: message.trim(),
-      role: 'user',
-      timestamp: new Date().toISOString()
-    };
-    session.messages.push(userMessage);
-
-    // Save to database
-    Database.saveChatMessage(userId, sessionId, message.trim(), true, null, {
-      source: 'api',
-      timestamp: new Date().toISOString()
-    });
-
-    // Get context from RAG if enabled
-    let ragContext = '';
-    let searchResults = [];
-    
-    if (useRAG) {
-      try {
-        const ragResults = await RAGSystem.search(message, {
-          category,
-          maxResults: 3,
-          minScore: 0.1
-        });
-        
-        if (ragResults.length > 0) {
-          searchResults = ragResults;
-          ragContext = ragResults
-            .map(result => `Bağlam: ${result.chunk.content}`)
-            .join('\n\n');
-        }
-      } catch (ragError) {
-        console.warn('RAG search failed:', ragError.message);
+    turn.request = buildChatRequest(turn);
+    for await (const event of runAgentTurn(provider, turn.request, toolContext(req, turn), { stream: false })) {
+      if (event.type === 'text') {
+        reply += event.text;
+      } else if (event.type === 'tool') {
+        toolInvocations.push(summarizeInvocation(event.invocation));
+      } else if (event.type === 'done') {
+        turnUsage = event.usage;
       }
     }
 
-    // Prepare conversation history for context
-    const conversationContext = session.messages
-      .slice(-10) // Last 10 messages for context
-      .map(msg => `${msg.role === 'user' ? 'Kullanıcı' : 'AI'}: ${msg.content}`)
-      .join('\n');
-
-    // Create system prompt
-    const systemPrompt = `
-Sen TYT-AYT öğrencileri için özel olarak tasarlanmış bir AI asistanısın. 
-
-Görevin:
-1. TYT ve AYT sınavlarına hazırlanan öğrencilere yardım etmek
-2. Türkçe konularında destek vermek
-3. İngilizce öğretiminde yardımcı olmak  
-4. Python programlama konusunda destek sağlamak
-5. Genel öğrenme tavsiyeleri vermek
-6. Motivasyon ve çalışma teknikleri konusunda rehberlik etmek
-
-Cevapların:
-- Türkçe olsun
-- Açık ve anlaşılır olsun
-- Pratik örnekler içersin
-- Öğrenci seviyesine uygun olsun
-- Motive edici olsun
-
-${ragContext ? `\nİlgili bağlam bilgileri:\n${ragContext}` : ''}
-
-${conversationContext ? `\nÖnceki konuşma bağlamı:\n${conversationContext}` : ''}
-`;
-
-    // Prepare request to Gemini
-    const requestBody = {
-      contents: [
-        {
-          parts: [
-            { text: systemPrompt }
-          ]
-        }
-      ],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 1024,
-      },
-      safetySettings: [
-        {
-          category: "HARM_CATEGORY_HARASSMENT",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        },
-        {
-          category: "HARM_CATEGORY_HATE_SPEECH",
-          threshold: "BLOCK_MEDIUM_AND_ABOVE"
-        }
-      ]
-    };
-
-    // Call Gemini API
-    const response = await axios.post(
-      `${GEMINI_API_URL}?key=${GEMINI_API_KEY}`,
-      requestBody,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000 // 30 seconds
-      }
-    );
-
-    // Extract AI response
-    const aiResponse = response.data.candidates?.[0]?.content?.parts?.[0]?.text;
-    
-    if (!aiResponse) {
-      throw new Error('No response received from Gemini API');
+    if (!reply) {
+      throw new ProviderError(`No response received from ${provider.label} API`, { provider: provider.name, status: 502 });
     }
 
-    // Add AI response to session
-    const aiMessage = {
-      id: uuidv4(),
-      content: aiResponse,
-      role: 'assistant',
-      timestamp: new Date().toISOString(),
-      metadata: {
-        useRAG,
-        searchResults: searchResults.length,
-        tokenCount: aiResponse.length
-      }
-    };
-    session.messages.push(aiMessage);
+    const { text: aiResponse, citations, invalidCitations } = extractCitations(reply, searchResults);
 
-    // Save to database
-    Database.saveChatMessage(userId, sessionId, aiResponse, false, null, {
-      source: 'gemini-api',
-      ragUsed: useRAG,
-      searchResults: searchResults.length,
-      timestamp: new Date().toISOString()
+    const { aiMessage, usage } = recordAssistantMessage(turn, aiResponse, {
+      source: provider.name,
+      model: provider.model,
+      fallbackFrom: provider.fallbackFrom,
+      usage: turnUsage,
+      citations: summarizeCitations(citations),
+      invalidCitations,
+      ...describeImages(turn),
+      toolInvocations
     });
 
-    // Clean old messages from memory (keep last 50)
-    if (session.messages.length > 50) {
-      session.messages = session.messages.slice(-50);
-    }
-
     res.json({
       success: true,
       data: {
@@ -238,43 +308,29 @@ ${conversationContext ? `\nÖnceki konuşma bağlamı:\n${conversationContext}`
         },
         metadata: {
           responseTime: Date.now() - new Date(userMessage.timestamp).getTime(),
+          tutorMode: mode.id,
+          provider: provider.name,
+          model: provider.model,
+          fallbackFrom: provider.fallbackFrom,
+          usage,
           useRAG,
           searchResults: searchResults.length,
-          contextUsed: ragContext ? true : false
+          contextUsed: ragContext ? true : false,
+          invalidCitations,
+          ...describeImages(turn),
+          toolInvocations,
+          moderation: describeModeration(turn.moderation)
         },
-        searchResults: searchResults.map(result => ({
-          title: result.chunk.title,
-          category: result.chunk.category,
-          score: result.score,
-          highlights: result.highlights
-        }))
+        attachments: attachments.map(formatAttachment),
+        citations,
+        searchResults: formatSearchResults(searchResults)
       }
     });
 
   } catch (error) {
     console.error('Chat message error:', error);
     
-    // Handle specific API errors
-    let errorMessage = 'Internal server error';
-    let statusCode = 500;
-
-    if (error.response) {
-      const { status, data } = error.response;
-      statusCode = status;
-      
-      if (status === 403) {
-        errorMessage = 'Gemini API access denied - check your API key';
-      } else if (status === 429) {
-        errorMessage = 'Gemini API rate limit exceeded';
-      } else if (status >= 500) {
-        errorMessage = 'Gemini API server error';
-      } else {
-        errorMessage = data.error?.message || 'API request failed';
-      }
-    } else if (error.code === 'ECONNABORTED') {
-      errorMessage = 'Request timeout - try again';
-      statusCode = 408;
-    }
+    const { statusCode, errorMessage } = describeApiError(error);
 
     res.status(statusCode).json({
       error: 'Chat API error',
@@ -285,6 +341,296 @@ ${conversationContext ? `\nÖnceki konuşma bağlamı:\n${conversationContext}`
   }
 });
 
+// Send message to AI and stream the reply as Server-Sent Events:
+// `start`, then `token` events (and a `tool` event per tool call), then `done` (or `error`)
+router.post('/message/stream', identifyUser, enforceTokenQuota, storeGuestUser, acceptImages, resolveProvider, async (req, res) => {
+  let turn;
+  try {
+    turn = await startChatTurn(req, res);
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    return res.status(500).json({
+      error: 'Chat API error',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+  if (!turn) return;
+
+  const { sessionId, userMessage, mode, useRAG, ragContext, searchResults, attachments } = turn;
+  const { provider } = req;
+  const messageId = uuidv4();
+  const upstream = new AbortController();
+  let aiResponse = '';
+  let cited = null;
+  let usage = null;
+  let aborted = false;
+  const toolInvocations = [];
+
+  // Client went away: stop the upstream request, keep what we have
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      aborted = true;
+      upstream.abort();
+    }
+  });
+
+  openEventStream(res);
+  writeEvent(res, 'start', {
+    sessionId,
+    messageId,
+    attachments: attachments.map(formatAttachment),
+    moderation: describeModeration(turn.moderation)
+  });
+
+  try {
+    turn.request = buildChatRequest(turn);
+    const request = { ...turn.request, signal: upstream.signal };
+
+    for await (const event of runAgentTurn(provider, request, toolContext(req, turn))) {
+      if (event.type === 'text') {
+        aiResponse += event.text;
+        writeEvent(res, 'token', { text: event.text });
+      } else if (event.type === 'tool') {
+        const invocation = summarizeInvocation(event.invocation);
+        toolInvocations.push(invocation);
+        writeEvent(res, 'tool', invocation);
+      } else if (event.type === 'done') {
+        usage = event.usage;
+      }
+    }
+
+    if (!aiResponse) {
+      throw new ProviderError(`No response received from ${provider.label} API`, { provider: provider.name, status: 502 });
+    }
+
+    // Tokens were relayed as generated; `done` carries the validated text
+    cited = extractCitations(aiResponse, searchResults);
+
+    writeEvent(res, 'done', {
+      sessionId,
+      message: {
+        id: messageId,
+        content: cited.text,
+        role: 'assistant',
+        timestamp: new Date().toISOString()
+      },
+      metadata: {
+        responseTime: Date.now() - new Date(userMessage.timestamp).getTime(),
+        tutorMode: mode.id,
+        provider: provider.name,
+        model: provider.model,
+        fallbackFrom: provider.fallbackFrom,
+        usage,
+        useRAG,
+        searchResults: searchResults.length,
+        contextUsed: ragContext ? true : false,
+        invalidCitations: cited.invalidCitations,
+        ...describeImages(turn),
+        toolInvocations,
+        moderation: describeModeration(turn.moderation)
+      },
+      citations: cited.citations,
+      searchResults: formatSearchResults(searchResults)
+    });
+
+  } catch (error) {
+    if (!aborted) {
+      console.error('Chat stream error:', error);
+      const { statusCode, errorMessage } = describeApiError(error);
+      writeEvent(res, 'error', {
+        error: 'Chat API error',
+        status: statusCode,
+        message: errorMessage
+      });
+    }
+  } finally {
+    // Persist whatever was generated, even if the stream was cut short
+    if (aiResponse) {
+      try {
+        const { text, citations, invalidCitations } = cited || extractCitations(aiResponse, searchResults);
+
+        recordAssistantMessage(turn, text, {
+          source: provider.name,
+          model: provider.model,
+          fallbackFrom: provider.fallbackFrom,
+          usage,
+          citations: summarizeCitations(citations),
+          invalidCitations,
+          ...describeImages(turn),
+          toolInvocations,
+          streamed: true,
+          aborted
+        }, messageId);
+      } catch (error) {
+        console.error('Chat stream save error:', error);
+      }
+    }
+    res.end();
+  }
+});
+
+// Token usage and remaining budget of the caller's plan
+router.get('/usage', identifyUser, async (req, res) => {
+  try {
+    const quota = TokenQuota.getStatus(req.user);
+    const byProvider = TokenQuota.getUsageByProvider(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...quota,
+        byProvider: byProvider.map(row => ({
+          provider: row.provider,
+          model: row.model,
+          calls: row.calls,
+          promptTokens: row.prompt_tokens,
+          completionTokens: row.completion_tokens,
+          totalTokens: row.total_tokens
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Get usage error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve usage',
+      message: error.message
+    });
+  }
+});
+
+// Rate an assistant message (thumbs up/down) or report it as incorrect;
+// sending feedback again replaces the previous one
+router.put('/messages/:messageId/feedback', identifyUser, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { error, value } = feedbackSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid feedback',
+        message: error.details[0].message
+      });
+    }
+
+    const message = Database.getChatMessage(messageId);
+    if (!message || message.user_id !== req.user.id) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: `Message ${messageId} does not exist`
+      });
+    }
+
+    if (message.is_user) {
+      return res.status(400).json({
+        error: 'Invalid feedback',
+        message: 'Feedback can only be given on assistant messages'
+      });
+    }
+
+    // A report is a thumbs-down unless the rating says otherwise
+    const reported = value.reportIncorrect === true;
+    const rating = value.rating === undefined ? (reported ? 'down' : null) : value.rating;
+
+    if (reported && rating === 'up') {
+      return res.status(400).json({
+        error: 'Invalid feedback',
+        message: 'An answer reported as incorrect cannot be rated up'
+      });
+    }
+
+    const metadata = JSON.parse(message.metadata || '{}');
+    const feedback = Database.saveMessageFeedback(messageId, req.user.id, message.session_id, {
+      rating,
+      reported,
+      category: value.category || null,
+      comment: value.comment || null,
+      tutorMode: metadata.tutorMode || null,
+      ragCategory: metadata.ragCategory || metadata.citations?.[0]?.category || null,
+      provider: metadata.source || null,
+      model: metadata.model || null
+    });
+
+    res.json({
+      success: true,
+      data: formatFeedback(feedback),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Save feedback error:', error);
+    res.status(500).json({
+      error: 'Failed to save feedback',
+      message: error.message
+    });
+  }
+});
+
+// Withdraw feedback on a message
+router.delete('/messages/:messageId/feedback', identifyUser, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    if (!Database.deleteMessageFeedback(messageId, req.user.id)) {
+      return res.status(404).json({
+        error: 'Feedback not found',
+        message: `No feedback on message ${messageId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Feedback removed'
+    });
+  } catch (error) {
+    console.error('Delete feedback error:', error);
+    res.status(500).json({
+      error: 'Failed to remove feedback',
+      message: error.message
+    });
+  }
+});
+
+// Download an image attached to one of the caller's messages
+router.get('/attachments/:attachmentId', identifyUser, async (req, res) => {
+  try {
+    const attachment = Database.getChatAttachment(req.params.attachmentId);
+
+    if (!attachment || attachment.user_id !== req.user.id) {
+      return res.status(404).json({
+        error: 'Attachment not found',
+        message: `Attachment ${req.params.attachmentId} does not exist`
+      });
+    }
+
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(attachment.mime_type).sendFile(attachmentPath(attachment));
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve attachment',
+      message: error.message
+    });
+  }
+});
+
+// Get available tutor modes
+router.get('/modes', (req, res) => {
+  res.json({
+    success: true,
+    defaultMode: DEFAULT_MODE,
+    modes: listTutorModes()
+  });
+});
+
+// Categories for reporting an answer as incorrect
+router.get('/feedback/categories', (req, res) => {
+  res.json({
+    success: true,
+    categories: FEEDBACK_CATEGORIES
+  });
+});
+
 // Get available categories for RAG
 router.get('/categories', async (req, res) => {
   try {
@@ -308,36 +654,79 @@ router.get('/categories', async (req, res) => {
   }
 });
 
-// Clear chat session
-router.delete('/session/:sessionId', async (req, res) => {
+// Delete a chat session and all of its messages
+router.delete('/session/:sessionId', identifyUser, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    
-    // Remove from active sessions
+    const attachments = Database.getSessionChatAttachments(sessionId)
+      .filter(attachment => attachment.user_id === req.user.id);
+
+    if (!Database.deleteChatSession(req.user.id, sessionId)) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `Session ${sessionId} does not exist`
+      });
+    }
+
     activeSessions.delete(sessionId);
-    
-    // In a real app, you might also want to mark the session as archived in the database
+    await removeAttachmentFiles(attachments);
     
     res.json({
       success: true,
-      message: `Session ${sessionId} cleared successfully`
+      message: `Session ${sessionId} deleted successfully`
     });
   } catch (error) {
-    console.error('Clear session error:', error);
+    console.error('Delete session error:', error);
     res.status(500).json({
-      error: 'Failed to clear session',
+      error: 'Failed to delete session',
+      message: error.message
+    });
+  }
+});
+
+// Rename, archive or unarchive a chat session
+router.patch('/session/:sessionId', identifyUser, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { error, value } = sessionUpdateSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid session data',
+        message: error.details[0].message
+      });
+    }
+
+    const chatSession = Database.getChatSession(sessionId);
+    if (!chatSession || chatSession.user_id !== req.user.id) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `Session ${sessionId} does not exist`
+      });
+    }
+
+    Database.updateChatSession(sessionId, value);
+
+    res.json({
+      success: true,
+      session: formatChatSession(Database.getChatSession(sessionId))
+    });
+  } catch (error) {
+    console.error('Update session error:', error);
+    res.status(500).json({
+      error: 'Failed to update session',
       message: error.message
     });
   }
 });
 
 // Get session info
-router.get('/session/:sessionId', async (req, res) => {
+router.get('/session/:sessionId', identifyUser, async (req, res) => {
   try {
     const { sessionId } = req.params;
-    const session = activeSessions.get(sessionId);
+    const chatSession = Database.getChatSession(sessionId);
     
-    if (!session) {
+    if (!chatSession || chatSession.user_id !== req.user.id) {
       return res.status(404).json({
         error: 'Session not found',
         message: `Session ${sessionId} does not exist`
@@ -346,14 +735,7 @@ router.get('/session/:sessionId', async (req, res) => {
     
     res.json({
       success: true,
-      session: {
-        id: session.id,
-        userId: session.userId,
-        messageCount: session.messages.length,
-        createdAt: session.createdAt,
-        lastActivity: session.lastActivity,
-        isActive: Date.now() - new Date(session.lastActivity).getTime() < 3600000 // 1 hour
-      }
+      session: formatChatSession(chatSession)
     });
   } catch (error) {
     console.error('Get session info error:', error);
@@ -364,18 +746,75 @@ router.get('/session/:sessionId', async (req, res) => {
   }
 });
 
+// Download a session's full history as Markdown, standalone HTML or PDF
+router.get('/session/:sessionId/export', identifyUser, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { format = 'markdown' } = req.query;
+
+    if (!TRANSCRIPT_FORMATS[format]) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: `format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`
+      });
+    }
+
+    const chatSession = Database.getChatSession(sessionId);
+    if (!chatSession || chatSession.user_id !== req.user.id) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `Session ${sessionId} does not exist`
+      });
+    }
+
+    const transcript = buildTranscript(
+      chatSession,
+      Database.getChatMessages(sessionId),
+      Database.getSessionChatAttachments(sessionId)
+    );
+    const title = transcript.title.replace(/[\\/:*?"<>|\r\n]+/g, ' ').trim() || 'sohbet';
+
+    // Sets Content-Type from the extension (non-ASCII titles are encoded for us)
+    res.attachment(`${title}.${TRANSCRIPT_FORMATS[format].extension}`);
+
+    if (format === 'markdown') {
+      return res.send(renderMarkdown(transcript));
+    }
+    if (format === 'html') {
+      return res.send(await renderHTML(transcript));
+    }
+
+    const doc = await createPDF(transcript);
+    doc.on('error', error => {
+      console.error('Session export PDF error:', error);
+      res.destroy(error);
+    });
+    doc.pipe(res);
+  } catch (error) {
+    console.error('Export session error:', error);
+    res.status(500).json({
+      error: 'Failed to export session',
+      message: error.message
+    });
+  }
+});
+
 // Health check for chat service
 router.get('/health', async (req, res) => {
   try {
+    const llm = Providers.health();
     const chatStats = {
       activeSessions: activeSessions.size,
-      geminiApiKey: GEMINI_API_KEY ? 'configured' : 'missing',
+      geminiApiKey: process.env.GEMINI_API_KEY ? 'configured' : 'missing',
+      defaultProvider: Providers.defaultProvider,
+      fallbackProviders: llm.fallbackProviders,
+      providers: Providers.list(),
       ragSystem: RAGSystem.initialized ? 'ready' : 'not initialized'
     };
     
     res.json({
       success: true,
-      status: 'healthy',
+      status: llm.status,
       stats: chatStats,
       timestamp: new Date().toISOString()
     });
@@ -389,4 +828,353 @@ router.get('/health', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Helper functions
+
+// Validate and moderate the request, load the session, save the user message
+// (and its images) and fetch RAG context. Responds and returns null if the
+// request is invalid or blocked.
+async function startChatTurn(req, res) {
+  const userId = req.user.id;
+  const images = req.files || [];
+  const {
+    message = '',
+    sessionId = uuidv4(),
+    category = null,
+    mode: requestedMode = null
+  } = req.body;
+  // Multipart form fields arrive as strings
+  const useRAG = parseFlag(req.body.useRAG, true);
+  const revealAnswer = parseFlag(req.body.revealAnswer, false);
+  const useTools = parseFlag(req.body.useTools, true) && req.provider.tools;
+
+  // A photo of the question is enough on its own
+  if (typeof message !== 'string' || (message.trim().length === 0 && images.length === 0)) {
+    res.status(400).json({
+      error: 'Invalid message',
+      message: 'Message must be a non-empty string'
+    });
+    return null;
+  }
+
+  if (images.length > 0 && !message.trim() && !req.provider.vision) {
+    res.status(400).json({
+      error: 'Images not supported',
+      message: `${req.provider.label} cannot read images. Type the question, or use a provider with image support: ` +
+        Providers.list().filter(provider => provider.vision && provider.configured).map(provider => provider.name).join(', ')
+    });
+    return null;
+  }
+
+  if (requestedMode && !getTutorMode(requestedMode)) {
+    res.status(400).json({
+      error: 'Invalid mode',
+      message: `Unknown tutor mode: ${requestedMode}. Available: ${listTutorModes().map(mode => mode.id).join(', ')}`
+    });
+    return null;
+  }
+
+  // Sessions belong to the user who created them
+  const chatSession = Database.getChatSession(sessionId);
+  if (chatSession && chatSession.user_id !== userId) {
+    res.status(403).json({
+      error: 'Forbidden',
+      message: 'This session belongs to another user'
+    });
+    return null;
+  }
+
+  if (chatSession?.archived_at) {
+    res.status(409).json({
+      error: 'Session archived',
+      message: 'Unarchive this session before sending new messages'
+    });
+    return null;
+  }
+
+  // Personal data is masked before the message is stored or sent anywhere
+  const moderation = Moderation.check(message.trim());
+  const text = moderation.text;
+
+  if (moderation.action === 'block') {
+    Moderation.recordFlag(userId, moderation, { sessionId: chatSession ? sessionId : null });
+    Logger.logSecurityEvent('chat_message_blocked', {
+      ...Logger.getRequestContext(req),
+      categories: moderation.categories
+    });
+    res.status(422).json({
+      error: 'Message blocked',
+      message: 'Bu mesaj içerik kuralları nedeniyle gönderilemedi. Derslerinle ilgili başka bir soru sorabilirsin.',
+      categories: moderation.categories
+    });
+    return null;
+  }
+
+  // Sessions keep their tutor mode until a request switches it
+  const mode = getTutorMode(requestedMode || chatSession?.tutor_mode || DEFAULT_MODE);
+
+  // New sessions are titled after their first question
+  if (!chatSession) {
+    Database.createChatSession(sessionId, userId, generateSessionTitle(text || 'Fotoğraflı soru'), category, mode.id);
+  } else if (chatSession.tutor_mode !== mode.id) {
+    Database.updateChatSession(sessionId, { tutorMode: mode.id });
+  }
+
+  const session = getOwnedSession(sessionId, userId);
+  session.lastActivity = new Date().toISOString();
+  Database.touchChatSession(sessionId);
+
+  // Save to database
+  const messageId = Database.saveChatMessage(userId, sessionId, text, true, null, {
+    source: 'api',
+    ...(images.length > 0 && { attachments: images.length }),
+    ...(moderation.action && { moderation: describeModeration(moderation) }),
+    timestamp: new Date().toISOString()
+  });
+  const attachments = await saveAttachments(userId, sessionId, messageId, images);
+  Moderation.recordFlag(userId, moderation, { sessionId, messageId });
+
+  // Add user message to session
+  const userMessage = {
+    id: messageId,
+    content: text,
+    role: 'user',
+    attachments: attachments.map(formatAttachment),
+    timestamp: new Date().toISOString()
+  };
+  session.messages.push(userMessage);
+
+  // Get context from RAG if enabled
+  let ragContext = '';
+  let searchResults = [];
+  
+  if (useRAG && text) {
+    try {
+      const ragResults = await RAGSystem.search(text, {
+        category: category || mode.ragCategory,
+        maxResults: 3,
+        minScore: 0.1
+      });
+      
+      if (ragResults.length > 0) {
+        searchResults = ragResults;
+        ragContext = formatSourcesForPrompt(ragResults);
+      }
+    } catch (ragError) {
+      console.warn('RAG search failed:', ragError.message);
+    }
+  }
+
+  // Sessions without an explicit category take the subject of their first sources
+  if (!chatSession && !category && searchResults.length > 0) {
+    Database.updateChatSession(sessionId, { subject: searchResults[0].chunk.category });
+  }
+
+  return {
+    userId,
+    sessionId,
+    session,
+    userMessage,
+    provider: req.provider,
+    guestIp: req.user.isGuest ? req.ip : null,
+    mode,
+    revealAnswer: revealAnswer || wantsAnswerRevealed(text),
+    moderation,
+    useRAG,
+    useTools,
+    ragContext,
+    searchResults,
+    attachments
+  };
+}
+
+// Tutor mode system prompt (with RAG context and the session summary) plus
+// the role-structured conversation that fits the history token budget
+function buildChatRequest(turn) {
+  const { sessionId, provider, mode, ragContext, revealAnswer, useTools, moderation, attachments } = turn;
+  const { summary, messages } = ConversationMemory.getContext(sessionId);
+
+  // Only this turn's images are sent; earlier ones stay a note in the history
+  if (attachments.length > 0) {
+    const question = messages[messages.length - 1];
+
+    if (provider.vision) {
+      question.images = attachments.map(attachment => ({ mimeType: attachment.mime_type, data: attachment.data }));
+    } else {
+      question.content += '\n\n(Bu model görselleri göremiyor. Sadece yazılı kısmı cevapla ve ' +
+        'görseldeki soruyu yazı olarak göndermesini iste.)';
+    }
+  }
+
+  return {
+    system: buildSystemPrompt(mode, { ragContext, summary, revealAnswer, tools: useTools, guidance: moderation.guidance }),
+    messages,
+    tools: useTools ? getToolDefinitions() : undefined,
+    temperature: mode.temperature,
+    maxOutputTokens: 1024
+  };
+}
+
+// Add the AI reply to the session, save it to the database and charge its
+// tokens to the user (estimated when the provider reported no usage)
+function recordAssistantMessage(turn, content, metadata = {}, messageId = uuidv4()) {
+  const { userId, sessionId, session, mode, useRAG, searchResults } = turn;
+  const usageEstimated = !metadata.usage;
+  const usage = metadata.usage || TokenQuota.estimateUsage(turn.request, content);
+
+  const aiMessage = {
+    id: messageId,
+    content,
+    role: 'assistant',
+    timestamp: new Date().toISOString(),
+    metadata: {
+      useRAG,
+      searchResults: searchResults.length,
+      tokenCount: usage.completionTokens
+    }
+  };
+  session.messages.push(aiMessage);
+
+  // Save to database
+  // Same ID as in the response, so feedback can refer to it
+  Database.saveChatMessage(userId, sessionId, content, false, null, {
+    ...metadata,
+    usage,
+    usageEstimated,
+    tutorMode: mode.id,
+    ragUsed: useRAG,
+    ragCategory: searchResults[0]?.chunk.category || null,
+    searchResults: searchResults.length,
+    timestamp: new Date().toISOString()
+  }, messageId);
+
+  TokenQuota.recordUsage(userId, {
+    sessionId,
+    messageId,
+    provider: metadata.source,
+    model: metadata.model,
+    usage,
+    estimated: usageEstimated,
+    guestIp: turn.guestIp
+  });
+
+  Database.touchChatSession(sessionId);
+
+  // Condense older turns in the background once the conversation outgrows the budget
+  ConversationMemory.summarizeIfNeeded(sessionId, turn.provider, turn.guestIp)
+    .catch(error => console.warn('Conversation summary failed:', error.message));
+
+  // Clean old messages from memory (keep last 50)
+  if (session.messages.length > CACHED_MESSAGES) {
+    session.messages = session.messages.slice(-CACHED_MESSAGES);
+  }
+
+  return { aiMessage, usage };
+}
+
+// What moderation did to the user's message, for clients and message metadata
+function describeModeration(moderation) {
+  if (!moderation.action) return null;
+
+  return {
+    action: moderation.action,
+    redactions: moderation.redactions,
+    categories: moderation.categories
+  };
+}
+
+// Who the tools act for (Python runs are saved to this user's history)
+function toolContext(req, turn) {
+  return {
+    ...Logger.getRequestContext(req),
+    userId: turn.userId,
+    sessionId: turn.sessionId
+  };
+}
+
+// First line of the question, cut at a word boundary
+function generateSessionTitle(message) {
+  const text = message.trim().split('\n')[0].replace(/\s+/g, ' ');
+  if (text.length <= SESSION_TITLE_LENGTH) return text;
+
+  const cut = text.slice(0, SESSION_TITLE_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > SESSION_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+}
+
+function formatChatSession(chatSession) {
+  const lastActivity = chatSession.last_activity_at;
+
+  return {
+    id: chatSession.id,
+    userId: chatSession.user_id,
+    title: chatSession.title,
+    subject: chatSession.subject,
+    tutorMode: chatSession.tutor_mode,
+    messageCount: chatSession.message_count,
+    createdAt: chatSession.created_at,
+    lastActivity,
+    archived: !!chatSession.archived_at,
+    archivedAt: chatSession.archived_at,
+    summary: chatSession.summary || null,
+    isActive: Date.now() - new Date(`${lastActivity.replace(' ', 'T')}Z`).getTime() < 3600000 // 1 hour
+  };
+}
+
+function formatSearchResults(searchResults) {
+  return searchResults.map((result, index) => ({
+    index: index + 1,
+    chunkId: result.chunkId,
+    title: result.chunk.title,
+    category: result.chunk.category,
+    score: result.score,
+    highlights: result.highlights
+  }));
+}
+
+function formatFeedback(feedback) {
+  if (!feedback) return null;
+
+  return {
+    rating: feedback.rating,
+    reportedIncorrect: !!feedback.reported,
+    category: feedback.category,
+    comment: feedback.comment,
+    updatedAt: feedback.updated_at
+  };
+}
+
+// Whether this turn's images reached the provider
+function describeImages(turn) {
+  if (turn.attachments.length === 0) return {};
+
+  return {
+    attachments: turn.attachments.length,
+    imagesSent: turn.provider.vision
+  };
+}
+
+// Multipart fields are strings ('true'/'false'); JSON bodies send booleans
+function parseFlag(value, defaultValue) {
+  if (value === undefined || value === '') return defaultValue;
+  return value === true || value === 'true';
+}
+
+// What is stored with the message: enough to show and re-find the sources
+function summarizeCitations(citations) {
+  return citations.map(citation => ({
+    index: citation.index,
+    chunkId: citation.chunkId,
+    title: citation.title,
+    category: citation.category
+  }));
+}
+
+// Map a provider error to a status code and user-facing message
+function describeApiError(error) {
+  if (error instanceof ProviderError) {
+    return { statusCode: error.status, errorMessage: error.message };
+  }
+  return { statusCode: 500, errorMessage: 'Internal server error' };
+}
+
+module.exports = router;
@@ -0,0 +1,459 @@
+const express = require('express');
+const Joi = require('joi');
+const Database = require('../utils/database');
+const Auth = require('../utils/auth');
+const { authenticate, authorize } = require('../middleware/auth');
+const {
+  getSubjectBreakdown,
+  getMostActiveSubject,
+  calculateAverageSession,
+  getSessionsBySubject,
+  filterByPeriod,
+  getPeriodStart,
+  buildStudyStatistics,
+  formatAchievements
+} = require('../utils/statistics');
+
+const router = express.Router();
+
+// Classrooms are between registered accounts; API tokens get read-only access
+router.use(authenticate({
+  allowGuest: false,
+  scope: req => req.method === 'GET' ? 'classrooms:read' : null
+}));
+
+const JOIN_CODE_LENGTH = 8;
+
+const classroomSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow('')
+});
+
+const classroomUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow('')
+}).min(1);
+
+const joinSchema = Joi.object({
+  code: Joi.string().trim().uppercase().length(JOIN_CODE_LENGTH).required()
+});
+
+// Load the classroom and the caller's relationship to it
+router.param('classroomId', (req, res, next, classroomId) => {
+  const classroom = Database.getClassroom(classroomId);
+
+  if (classroom) {
+    if (classroom.teacher_id === req.user.id || req.user.role === 'admin') {
+      req.classroomRole = 'teacher';
+    } else if (Database.isClassroomMember(classroomId, req.user.id)) {
+      req.classroomRole = 'student';
+    }
+  }
+
+  if (!req.classroomRole) {
+    return res.status(404).json({
+      error: 'Classroom not found',
+      message: `Classroom ${classroomId} does not exist or you are not a member`
+    });
+  }
+
+  req.classroom = classroom;
+  next();
+});
+
+// Roster routes only accept students that are in the classroom
+router.param('studentId', (req, res, next, studentId) => {
+  if (!Database.isClassroomMember(req.params.classroomId, studentId)) {
+    return res.status(404).json({
+      error: 'Student not found',
+      message: `Student ${studentId} is not in this classroom`
+    });
+  }
+  next();
+});
+
+// Middleware for classroom management and analytics
+const teacherOnly = (req, res, next) => {
+  if (req.classroomRole !== 'teacher') {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only the classroom teacher can do this'
+    });
+  }
+  next();
+};
+
+// Create a classroom
+router.post('/', authorize('teacher', 'admin'), async (req, res) => {
+  try {
+    const { error, value } = classroomSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid classroom data',
+        message: error.details[0].message
+      });
+    }
+
+    const classroomId = Database.createClassroom(
+      req.user.id,
+      value.name,
+      value.description || null,
+      Auth.generateShortCode(JOIN_CODE_LENGTH)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: formatClassroom(Database.getClassroom(classroomId), 'teacher'),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Create classroom error:', error);
+    res.status(500).json({
+      error: 'Failed to create classroom',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// List classrooms the caller teaches or has joined
+router.get('/', async (req, res) => {
+  try {
+    const classrooms = Database.getUserClassrooms(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        total: classrooms.length,
+        classrooms: classrooms.map(classroom => formatClassroom(classroom, classroom.membership))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('List classrooms error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve classrooms',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Join a classroom by code
+router.post('/join', async (req, res) => {
+  try {
+    const { error, value } = joinSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid join code',
+        message: error.details[0].message
+      });
+    }
+
+    const classroom = Database.getClassroomByJoinCode(value.code);
+
+    if (!classroom) {
+      return res.status(404).json({
+        error: 'Classroom not found',
+        message: 'No classroom uses this join code'
+      });
+    }
+
+    if (classroom.teacher_id === req.user.id) {
+      return res.status(400).json({
+        error: 'Invalid join code',
+        message: 'You already teach this classroom'
+      });
+    }
+
+    Database.addClassroomMember(classroom.id, req.user.id);
+
+    res.json({
+      success: true,
+      data: formatClassroom(Database.getClassroom(classroom.id), 'student'),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Join classroom error:', error);
+    res.status(500).json({
+      error: 'Failed to join classroom',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get a classroom (teachers also get the roster)
+router.get('/:classroomId', async (req, res) => {
+  try {
+    const data = formatClassroom(req.classroom, req.classroomRole);
+
+    if (req.classroomRole === 'teacher') {
+      data.roster = Database.getClassroomRoster(req.classroom.id).map(student => ({
+        id: student.id,
+        username: student.username,
+        email: student.email,
+        joinedAt: student.joined_at
+      }));
+    }
+
+    res.json({
+      success: true,
+      data,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get classroom error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve classroom',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Update classroom details
+router.patch('/:classroomId', teacherOnly, async (req, res) => {
+  try {
+    const { error, value } = classroomUpdateSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid classroom data',
+        message: error.details[0].message
+      });
+    }
+
+    Database.updateClassroom(req.classroom.id, value);
+
+    res.json({
+      success: true,
+      data: formatClassroom(Database.getClassroom(req.classroom.id), 'teacher'),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Update classroom error:', error);
+    res.status(500).json({
+      error: 'Failed to update classroom',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Issue a new join code (the old one stops working)
+router.post('/:classroomId/join-code', teacherOnly, async (req, res) => {
+  try {
+    Database.updateClassroom(req.classroom.id, { joinCode: Auth.generateShortCode(JOIN_CODE_LENGTH) });
+
+    res.json({
+      success: true,
+      data: formatClassroom(Database.getClassroom(req.classroom.id), 'teacher'),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Regenerate join code error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate join code',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Delete a classroom
+router.delete('/:classroomId', teacherOnly, async (req, res) => {
+  try {
+    Database.deleteClassroom(req.classroom.id);
+
+    res.json({
+      success: true,
+      message: `Classroom ${req.classroom.id} deleted successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Delete classroom error:', error);
+    res.status(500).json({
+      error: 'Failed to delete classroom',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Remove a student (teachers), or leave the classroom (the student themselves)
+router.delete('/:classroomId/students/:studentId', async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    if (req.classroomRole !== 'teacher' && studentId !== req.user.id) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Only the classroom teacher can remove other students'
+      });
+    }
+
+    Database.removeClassroomMember(req.classroom.id, studentId);
+
+    res.json({
+      success: true,
+      message: `Student ${studentId} removed from classroom`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Remove student error:', error);
+    res.status(500).json({
+      error: 'Failed to remove student',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Aggregated analytics across the roster
+router.get('/:classroomId/analytics', teacherOnly, async (req, res) => {
+  try {
+    const { period = 'week' } = req.query;
+    const since = getPeriodStart(period).toISOString();
+    const classroomId = req.classroom.id;
+
+    const roster = Database.getClassroomRoster(classroomId);
+    const sessions = Database.getClassroomStudySessions(classroomId, since);
+    const progress = Database.getClassroomProgress(classroomId, since);
+    const executionStats = Database.getClassroomExecutionStats(classroomId, since);
+
+    const totalTime = sessions.reduce((sum, session) => sum + session.duration, 0);
+    const totalExecutions = executionStats.reduce((sum, stat) => sum + stat.total, 0);
+    const successfulExecutions = executionStats.reduce((sum, stat) => sum + (stat.successful || 0), 0);
+
+    res.json({
+      success: true,
+      data: {
+        classroomId,
+        period,
+        studentCount: roster.length,
+        studyTime: {
+          totalTime,
+          totalSessions: sessions.length,
+          averageSessionTime: calculateAverageSession(sessions),
+          averagePerStudent: roster.length > 0 ? Math.round(totalTime / roster.length) : 0,
+          activeStudents: new Set(sessions.map(session => session.user_id)).size
+        },
+        sessionsBySubject: getSessionsBySubject(sessions),
+        progressBySubject: getSubjectBreakdown(progress),
+        python: {
+          totalExecutions,
+          successfulExecutions,
+          successRate: calculateSuccessRate(successfulExecutions, totalExecutions)
+        },
+        students: roster.map(student =>
+          summarizeStudent(student, sessions, progress, executionStats)
+        )
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Classroom analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve classroom analytics',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Drill-down analytics for one student
+router.get('/:classroomId/students/:studentId/analytics', teacherOnly, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { period = 'week' } = req.query;
+
+    const student = Database.getUserById(studentId);
+    const progress = filterByPeriod(Database.getUserProgress(studentId), period);
+    const executions = filterByPeriod(Database.getUserExecutions(studentId, 100), period);
+    const successfulExecutions = executions.filter(exec => exec.success).length;
+
+    res.json({
+      success: true,
+      data: {
+        student: {
+          id: student.id,
+          username: student.username
+        },
+        statistics: buildStudyStatistics(Database.getUserStudySessions(studentId, 100), period),
+        learningProgress: {
+          totalLessons: progress.length,
+          subjects: getSubjectBreakdown(progress),
+          mostActiveSubject: getMostActiveSubject(progress)
+        },
+        python: {
+          totalExecutions: executions.length,
+          successfulExecutions,
+          successRate: calculateSuccessRate(successfulExecutions, executions.length),
+          lastExecution: executions[0]?.timestamp || null
+        },
+        achievements: formatAchievements(Database.getUserAchievements(studentId))
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Student analytics error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve student analytics',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Helper functions
+function formatClassroom(classroom, membership) {
+  return {
+    id: classroom.id,
+    name: classroom.name,
+    description: classroom.description,
+    teacherId: classroom.teacher_id,
+    // Only teachers see the join code
+    joinCode: membership === 'teacher' ? classroom.join_code : undefined,
+    studentCount: classroom.student_count,
+    membership,
+    createdAt: classroom.created_at,
+    updatedAt: classroom.updated_at
+  };
+}
+
+function calculateSuccessRate(successful, total) {
+  return total > 0 ? Math.round((successful / total) * 100) : 0;
+}
+
+function summarizeStudent(student, sessions, progress, executionStats) {
+  const studentSessions = sessions.filter(session => session.user_id === student.id);
+  const studentProgress = progress.filter(p => p.user_id === student.id);
+  const execution = executionStats.find(stat => stat.user_id === student.id);
+
+  return {
+    id: student.id,
+    username: student.username,
+    totalTime: studentSessions.reduce((sum, session) => sum + session.duration, 0),
+    sessions: studentSessions.length,
+    lessonsCompleted: studentProgress.filter(p => p.completed).length,
+    mostActiveSubject: getMostActiveSubject(studentProgress),
+    pythonExecutions: execution?.total || 0,
+    pythonSuccessRate: calculateSuccessRate(execution?.successful || 0, execution?.total || 0),
+    lastStudySession: studentSessions[0]?.timestamp || null
+  };
+}
+
+module.exports = router;
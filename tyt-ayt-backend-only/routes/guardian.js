@@ -0,0 +1,294 @@
+const express = require('express');
+const Joi = require('joi');
+const Database = require('../utils/database');
+const Auth = require('../utils/auth');
+const { requireAuth } = require('../middleware/auth');
+const {
+  buildStudyStatistics,
+  formatAchievements,
+  formatStudySessions
+} = require('../utils/statistics');
+
+const router = express.Router();
+
+// Guardian links are between registered accounts
+router.use(requireAuth);
+
+// Invite code options
+const INVITE_TTL_HOURS = 48;
+const INVITE_CODE_LENGTH = 8;
+
+const linkSchema = Joi.object({
+  code: Joi.string().trim().uppercase().length(INVITE_CODE_LENGTH).required()
+});
+
+// Guardian routes for a student require an existing link
+router.param('studentId', (req, res, next, studentId) => {
+  if (!Database.isGuardianOf(req.user.id, studentId)) {
+    return res.status(404).json({
+      error: 'Student not found',
+      message: `You are not linked to student ${studentId}`
+    });
+  }
+  next();
+});
+
+// Student: create an invite code for a guardian
+router.post('/invites', async (req, res) => {
+  try {
+    const code = Database.createGuardianInvite(req.user.id, Auth.generateShortCode(INVITE_CODE_LENGTH), INVITE_TTL_HOURS);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        code,
+        expiresAt: new Date(Date.now() + INVITE_TTL_HOURS * 60 * 60 * 1000).toISOString()
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Create guardian invite error:', error);
+    res.status(500).json({
+      error: 'Failed to create invite',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Student: list linked guardians
+router.get('/guardians', async (req, res) => {
+  try {
+    const guardians = Database.getStudentGuardians(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        total: guardians.length,
+        guardians: guardians.map(formatLinkedUser)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get guardians error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve guardians',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Student: remove a guardian
+router.delete('/guardians/:guardianId', async (req, res) => {
+  try {
+    const { guardianId } = req.params;
+
+    if (!Database.deleteGuardianLink(guardianId, req.user.id)) {
+      return res.status(404).json({
+        error: 'Guardian not found',
+        message: `Guardian ${guardianId} is not linked to your account`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Guardian ${guardianId} removed successfully`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Remove guardian error:', error);
+    res.status(500).json({
+      error: 'Failed to remove guardian',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Guardian: redeem a student's invite code
+router.post('/link', async (req, res) => {
+  try {
+    const { error, value } = linkSchema.validate(req.body, { stripUnknown: true });
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid invite code',
+        message: error.details[0].message
+      });
+    }
+
+    const invite = Database.redeemGuardianInvite(value.code, req.user.id);
+
+    if (!invite) {
+      return res.status(400).json({
+        error: 'Invalid invite code',
+        message: 'Invite code is invalid, expired or already used'
+      });
+    }
+
+    Database.createGuardianLink(req.user.id, invite.student_id);
+    const student = Database.getUserById(invite.student_id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        student: {
+          id: student.id,
+          username: student.username
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Guardian link error:', error);
+    res.status(500).json({
+      error: 'Failed to link guardian',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Guardian: list linked students
+router.get('/students', async (req, res) => {
+  try {
+    const students = Database.getGuardianStudents(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        total: students.length,
+        students: students.map(formatLinkedUser)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Get linked students error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve students',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Guardian: unlink from a student
+router.delete('/students/:studentId', async (req, res) => {
+  try {
+    const { studentId } = req.params;
+
+    Database.deleteGuardianLink(req.user.id, studentId);
+
+    res.json({
+      success: true,
+      message: `Unlinked from student ${studentId}`,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Unlink student error:', error);
+    res.status(500).json({
+      error: 'Failed to unlink student',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Guardian: a student's study statistics (same shape as /api/user/statistics)
+router.get('/students/:studentId/statistics', async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { period = 'week' } = req.query;
+
+    const sessions = Database.getUserStudySessions(studentId, 100);
+
+    res.json({
+      success: true,
+      data: buildStudyStatistics(sessions, period),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Guardian statistics error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve statistics',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Guardian: a student's achievements (same shape as /api/user/achievements)
+router.get('/students/:studentId/achievements', async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { category = null } = req.query;
+
+    const achievements = formatAchievements(Database.getUserAchievements(studentId), category);
+
+    res.json({
+      success: true,
+      data: {
+        userId: studentId,
+        category,
+        totalAchievements: achievements.length,
+        achievements
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Guardian achievements error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve achievements',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Guardian: a student's study sessions
+router.get('/students/:studentId/study-sessions', async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { limit = 50 } = req.query;
+
+    const sessions = Database.getUserStudySessions(studentId, Math.min(parseInt(limit) || 50, 100));
+
+    res.json({
+      success: true,
+      data: {
+        userId: studentId,
+        total: sessions.length,
+        sessions: formatStudySessions(sessions)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Guardian study sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve study sessions',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Helper functions
+function formatLinkedUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    linkedAt: user.linked_at
+  };
+}
+
+module.exports = router;
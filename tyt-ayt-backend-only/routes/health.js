@@ -1,9 +1,14 @@
 const express = require('express');
 const Database = require('../utils/database');
 const RAGSystem = require('../utils/rag');
+const Providers = require('../providers');
+const { authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Diagnostic routes expose configuration and internals
+const adminOnly = authorize('admin');
+
 // Overall health check
 router.get('/', async (req, res) => {
   try {
@@ -81,7 +86,7 @@ router.get('/', async (req, res) => {
 });
 
 // Detailed system status
-router.get('/detailed', async (req, res) => {
+router.get('/detailed', adminOnly, async (req, res) => {
   try {
     const detailed = {
       timestamp: new Date().toISOString(),
@@ -95,7 +100,8 @@ router.get('/detailed', async (req, res) => {
       services: {
         database: await checkDatabaseHealth(),
         rag: await checkRAGHealth(),
-        api: await checkAPIHealth()
+        api: await checkAPIHealth(),
+        llm: Providers.health()
       },
       performance: {
         responseTime: Date.now(),
@@ -120,7 +126,7 @@ router.get('/detailed', async (req, res) => {
 });
 
 // System metrics
-router.get('/metrics', async (req, res) => {
+router.get('/metrics', adminOnly, async (req, res) => {
   try {
     const metrics = {
       timestamp: new Date().toISOString(),
@@ -197,7 +203,7 @@ router.get('/rag', async (req, res) => {
 });
 
 // API keys status
-router.get('/api-keys', (req, res) => {
+router.get('/api-keys', adminOnly, (req, res) => {
   try {
     const apiKeys = {
       gemini: {
@@ -234,7 +240,7 @@ router.get('/api-keys', (req, res) => {
 });
 
 // Environment info
-router.get('/environment', (req, res) => {
+router.get('/environment', adminOnly, (req, res) => {
   try {
     const env = {
       nodeEnv: process.env.NODE_ENV || 'development',
@@ -1,70 +1,46 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const Database = require('../utils/database');
+const Logger = require('../utils/logger');
+const { identifyUser, storeGuestUser } = require('../middleware/auth');
+const {
+  PYTHON_EXECUTION_TIMEOUT,
+  MAX_CODE_LENGTH,
+  ALLOWED_MODULES,
+  checkCode,
+  runPythonCode
+} = require('../utils/python');
 
 const router = express.Router();
 
-// Python execution options
-const PYTHON_EXECUTION_TIMEOUT = 10000; // 10 seconds
-const MAX_CODE_LENGTH = 10000; // 10KB
-const ALLOWED_MODULES = [
-  'math', 'random', 'datetime', 'statistics', 'collections', 
-  'itertools', 'functools', 'operator', 'json', 're', 'string',
-  'urllib.request', 'urllib.parse', 'xml.etree.ElementTree'
-];
-
 // Middleware for code validation
 const validateCode = (req, res, next) => {
-  const { code } = req.body;
-  
-  if (!code || typeof code !== 'string') {
-    return res.status(400).json({
-      error: 'Invalid code',
-      message: 'Code must be a non-empty string'
-    });
-  }
-  
-  if (code.length > MAX_CODE_LENGTH) {
-    return res.status(400).json({
-      error: 'Code too long',
-      message: `Code length cannot exceed ${MAX_CODE_LENGTH} characters`
-    });
-  }
-  
-  // Basic security checks
-  const dangerousPatterns = [
-    /import\s+os/,
-    /import\s+sys/,
-    /import\s+subprocess/,
-    /import\s+eval/,
-    /exec\s*\(/,
-    /open\s*\(/,
-    /file\s*\(/,
-    /__import__/,
-    /globals\(\)/,
-    /locals\(\)/,
-    /eval\s*\(/,
-    /compile\s*\(/
-  ];
-  
-  for (const pattern of dangerousPatterns) {
-    if (pattern.test(code)) {
-      return res.status(400).json({
-        error: 'Unsafe code',
-        message: 'Code contains potentially dangerous operations'
+  const problem = checkCode(req.body.code);
+
+  if (problem) {
+    if (problem.pattern) {
+      Logger.logSecurityEvent('python_code_blocked', {
+        ...Logger.getRequestContext(req),
+        pattern: problem.pattern.toString(),
+        codeLength: req.body.code.length
       });
     }
+
+    return res.status(400).json({
+      error: problem.error,
+      message: problem.message
+    });
   }
   
   next();
 };
 
 // Execute Python code
-router.post('/execute', validateCode, async (req, res) => {
+router.post('/execute', identifyUser, validateCode, storeGuestUser, async (req, res) => {
   try {
+    const userId = req.user.id;
     const {
       code,
-      userId = 'demo-user',
       input = '',
       timeout = PYTHON_EXECUTION_TIMEOUT,
       includeStdout = true,
@@ -72,186 +48,31 @@ router.post('/execute', validateCode, async (req, res) => {
     } = req.body;
 
     const executionId = uuidv4();
-    const startTime = Date.now();
-    
-    // Create a safe execution environment
-    const safeGlobals = {
-      '__builtins__': {
-        // Only allow safe builtins
-        'abs': abs,
-        'all': all,
-        'any': any,
-        'bin': bin,
-        'bool': bool,
-        'chr': chr,
-        'dict': dict,
-        'divmod': divmod,
-        'enumerate': enumerate,
-        'filter': filter,
-        'float': float,
-        'format': format,
-        'hex': hex,
-        'int': int,
-        'isinstance': isinstance,
-        'len': len,
-        'list': list,
-        'map': map,
-        'max': max,
-        'min': min,
-        'oct': oct,
-        'ord': ord,
-        'pow': pow,
-        'print': print,
-        'range': range,
-        'repr': repr,
-        'reversed': reversed,
-        'round': round,
-        'set': set,
-        'sorted': sorted,
-        'str': str,
-        'sum': sum,
-        'tuple': tuple,
-        'zip': zip
-      }
-    };
-    
-    // Add safe modules
-    ALLOWED_MODULES.forEach(moduleName => {
-      try {
-        safeGlobals[moduleName.split('.').pop()] = require(moduleName);
-      } catch (e) {
-        // Module not available, skip
-      }
-    });
-    
-    // Custom print function to capture output
-    let stdout = '';
-    let stderr = '';
-    
-    safeGlobals.print = (...args) => {
-      const output = args.map(arg => String(arg)).join(' ') + '\n';
-      stdout += output;
-      if (includeStdout) {
-        // Also log to console for debugging
-        console.log('[Python Output]', ...args);
-      }
-    };
-    
-    // Override built-in print
-    safeGlobals.__builtins__.print = safeGlobals.print;
-
-    // Create execution wrapper
-    const wrapper = `
-# Python Code Execution Environment
-import sys
-import io
-import contextlib
-
-# Capture stdout
-old_stdout = sys.stdout
-sys.stdout = io.StringIO()
-
-# Capture stderr
-old_stderr = sys.stderr
-sys.stderr = io.StringIO()
-
-# User input handling
-user_input = """${input.replace(/"/g, '\\"')}"""
-
-try:
-    # Execute user code
-    ${code}
-    
-    # Capture final state
-    if 'result' in locals():
-        print("RESULT:", result)
-    
-except Exception as e:
-    print("ERROR:", str(e))
-    print("TYPE:", type(e).__name__)
-    
-finally:
-    # Restore stdout/stderr and get captured output
-    captured_stdout = sys.stdout.getvalue()
-    captured_stderr = sys.stderr.getvalue()
-    sys.stdout = old_stdout
-    sys.stderr = old_stderr
-    
-    # Output results
-    if captured_stdout:
-        print(captured_stdout)
-    if captured_stderr:
-        print("STDERR:", captured_stderr, file=sys.stderr)
-`;
-
-    let success = false;
-    let error = null;
-    let executionTime = Date.now() - startTime;
+    const execution = await runPythonCode(code, { input, timeout, echo: includeStdout });
 
-    try {
-      // Use eval with timeout
-      const result = await executeWithTimeout(() => {
-        return eval(wrapper, safeGlobals);
-      }, timeout);
-      
-      success = true;
-      executionTime = Date.now() - startTime;
-      
-    } catch (execError) {
-      error = execError;
-      executionTime = Date.now() - startTime;
-      
-      if (execError.name === 'TimeoutError') {
-        error = 'Execution timeout - code took too long to run';
-      } else {
-        error = `Execution error: ${execError.message}`;
-      }
-    }
-
-    // Parse output
-    const lines = stdout.split('\n').filter(line => line.trim());
-    const outputLines = [];
-    const errors = [];
-    
-    for (const line of lines) {
-      if (line.startsWith('ERROR:')) {
-        errors.push(line.substring(6).trim());
-      } else if (line.startsWith('RESULT:')) {
-        outputLines.push(line.substring(7).trim());
-      } else {
-        outputLines.push(line);
-      }
-    }
-    
-    const finalOutput = outputLines.join('\n');
-    const finalError = errors.length > 0 ? errors.join('\n') : null;
-    
-    // Determine success
-    const execSuccess = success && !finalError && !error;
-    
     // Save execution to database
     Database.savePythonExecution(
       userId,
       code,
-      finalOutput,
-      finalError || error,
-      execSuccess,
-      executionTime
+      execution.output,
+      execution.error,
+      execution.success,
+      execution.executionTime
     );
 
     res.json({
       success: true,
       data: {
         executionId,
-        success: execSuccess,
-        output: includeStdout ? finalOutput : undefined,
-        error: includeStderr ? (finalError || error) : undefined,
-        executionTime,
+        success: execution.success,
+        output: includeStdout ? execution.output : undefined,
+        error: includeStderr ? execution.error : undefined,
+        executionTime: execution.executionTime,
         timestamp: new Date().toISOString(),
         metadata: {
           codeLength: code.length,
-          outputLines: outputLines.length,
-          hasError: !execSuccess
+          outputLines: execution.outputLines,
+          hasError: !execution.success
         }
       }
     });
@@ -267,9 +88,10 @@ finally:
 });
 
 // Get user's execution history
-router.get('/history', async (req, res) => {
+router.get('/history', identifyUser, async (req, res) => {
   try {
-    const { userId = 'demo-user', limit = 20 } = req.query;
+    const userId = req.user.id;
+    const { limit = 20 } = req.query;
     
     const executions = Database.getUserExecutions(userId, parseInt(limit));
     
@@ -309,14 +131,14 @@ router.get('/history', async (req, res) => {
 });
 
 // Get specific execution details
-router.get('/execution/:executionId', async (req, res) => {
+router.get('/execution/:executionId', identifyUser, async (req, res) => {
   try {
     const { executionId } = req.params;
     
     // Get from database (implement this method in database.js)
     const execution = Database.getPythonExecution?.(executionId);
     
-    if (!execution) {
+    if (!execution || execution.user_id !== req.user.id) {
       return res.status(404).json({
         error: 'Execution not found',
         message: `Execution ${executionId} not found`
@@ -434,12 +256,12 @@ router.get('/examples', async (req, res) => {
 });
 
 // Execute multiple test cases
-router.post('/test', validateCode, async (req, res) => {
+router.post('/test', identifyUser, validateCode, storeGuestUser, async (req, res) => {
   try {
+    const userId = req.user.id;
     const {
       code,
-      testCases,
-      userId = 'demo-user'
+      testCases
     } = req.body;
     
     if (!testCases || !Array.isArray(testCases) || testCases.length === 0) {
@@ -456,7 +278,7 @@ router.post('/test', validateCode, async (req, res) => {
       const testCase = testCases[i];
       
       try {
-        const response = await executePythonCode(code, testCase.input || '');
+        const response = await runPythonCode(code, { input: testCase.input || '', echo: false });
         
         const passed = response.success && 
           (!testCase.expectedOutput || 
@@ -524,35 +346,6 @@ router.post('/test', validateCode, async (req, res) => {
   }
 });
 
-// Helper functions
-async function executeWithTimeout(func, timeout) {
-  return new Promise((resolve, reject) => {
-    const timer = setTimeout(() => {
-      reject(new Error('Execution timeout'));
-    }, timeout);
-    
-    try {
-      const result = func();
-      clearTimeout(timer);
-      resolve(result);
-    } catch (error) {
-      clearTimeout(timer);
-      reject(error);
-    }
-  });
-}
-
-async function executePythonCode(code, input = '') {
-  // This is a simplified version of the main execution logic
-  // In a real implementation, you'd extract the common logic
-  return {
-    success: true,
-    output: 'Test output',
-    error: null,
-    executionTime: 100
-  };
-}
-
 // Health check
 router.get('/health', async (req, res) => {
   try {
@@ -1,12 +1,70 @@
 const express = require('express');
+const Joi = require('joi');
+const archiver = require('archiver');
+const fs = require('fs-extra');
 const Database = require('../utils/database');
+const Auth = require('../utils/auth');
+const Logger = require('../utils/logger');
+const activeSessions = require('../utils/sessions');
+const { attachmentPath, removeAttachmentFiles } = require('../utils/attachments');
+const { authenticate, requireAuth, storeGuestUser } = require('../middleware/auth');
+const {
+  calculateStudyStreak,
+  getSubjectBreakdown,
+  getAchievementCategories,
+  calculateAverageSession,
+  getMostActiveSubject,
+  calculateWeeklyProgress,
+  buildStudyStatistics,
+  formatAchievements
+} = require('../utils/statistics');
 
 const router = express.Router();
 
+// Endpoints personal access tokens may call, and the scope each needs
+const API_TOKEN_SCOPES = {
+  'GET /profile': 'profile:read',
+  'GET /achievements': 'progress:read',
+  'GET /statistics': 'progress:read',
+  'GET /roadmap': 'progress:read',
+  'POST /progress': 'progress:write',
+  'POST /study-session': 'sessions:write'
+};
+
+// Every user route acts on the authenticated caller
+router.use(authenticate({
+  scope: req => API_TOKEN_SCOPES[`${req.method} ${req.path}`] || null
+}));
+
+// Student profile stored in users.profile_data
+const DEFAULT_WEEKLY_TARGET = 420; // 7 hours per week
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const currentYear = new Date().getFullYear();
+
+// null clears a field
+const studentProfileSchema = Joi.object({
+  scoreType: Joi.string().valid('SAY', 'EA', 'SÖZ', 'DİL').allow(null),
+  targetUniversity: Joi.string().trim().max(150).allow(null),
+  targetDepartment: Joi.string().trim().max(150).allow(null),
+  targetScore: Joi.number().min(100).max(560).allow(null),
+  grade: Joi.number().integer().valid(9, 10, 11, 12).allow(null),
+  graduationStatus: Joi.string().valid('in_school', 'graduated').allow(null),
+  examYear: Joi.number().integer().min(currentYear).max(currentYear + 5).allow(null),
+  // Minutes available to study on each weekday
+  studyAvailability: Joi.object(
+    Object.fromEntries(WEEKDAYS.map(day => [day, Joi.number().integer().min(0).max(960).allow(null)]))
+  ).allow(null)
+}).custom((profile, helpers) => {
+  if (profile.graduationStatus === 'graduated' && profile.grade != null) {
+    return helpers.message('grade cannot be set for graduates');
+  }
+  return profile;
+});
+
 // Get user profile and stats
 router.get('/profile', async (req, res) => {
   try {
-    const { userId = 'demo-user' } = req.query;
+    const userId = req.user.id;
 
     // Get user statistics
     const stats = Database.getUserStats(userId);
@@ -20,8 +78,12 @@ router.get('/profile', async (req, res) => {
     // Get study sessions
     const studySessions = Database.getUserStudySessions(userId, 10);
     
-    // Get recent chat sessions (mock data for demo)
-    const recentChats = Database.getChatHistory(userId, 'recent', 5);
+    // Get recent chat sessions
+    const recentChats = Database.getUserChatSessions(userId, { limit: 5 });
+
+    // Get the editable student profile
+    const studentProfile = getStudentProfile(userId);
+    const weeklyTarget = getWeeklyTarget(studentProfile);
 
     // Calculate study streak (simplified)
     const studyDates = studySessions.map(session => 
@@ -32,6 +94,7 @@ router.get('/profile', async (req, res) => {
 
     const profile = {
       userId,
+      studentProfile,
       basicInfo: {
         totalStudyTime: stats.totalStudyTime,
         chatCount: stats.chatCount,
@@ -53,15 +116,17 @@ router.get('/profile', async (req, res) => {
         averageSessionTime: calculateAverageSession(studySessions),
         mostActiveSubject: getMostActiveSubject(progress),
         weeklyGoal: {
-          target: 420, // 7 hours per week
+          target: weeklyTarget,
           completed: calculateWeeklyProgress(studySessions),
-          percentage: Math.round((calculateWeeklyProgress(studySessions) / 420) * 100)
+          percentage: weeklyTarget > 0
+            ? Math.round((calculateWeeklyProgress(studySessions) / weeklyTarget) * 100)
+            : 0
         }
       },
       recentActivity: {
-        chats: recentChats.length,
+        chats: recentChats.total,
         lastStudySession: studySessions[0]?.timestamp || null,
-        lastChat: recentChats[0]?.timestamp || null
+        lastChat: recentChats.sessions[0]?.last_activity_at || null
       }
     };
 
@@ -81,11 +146,132 @@ router.get('/profile', async (req, res) => {
   }
 });
 
+// Replace the student profile
+router.put('/profile', requireAuth, (req, res) => saveStudentProfile(req, res, false));
+
+// Update individual student profile fields
+router.patch('/profile', requireAuth, (req, res) => saveStudentProfile(req, res, true));
+
+// Download everything stored about the caller (KVKK/GDPR access request)
+router.get('/export', requireAuth, async (req, res) => {
+  try {
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'zip'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'format must be json or zip'
+      });
+    }
+
+    const user = Database.getUserById(req.user.id);
+    const exportData = {
+      exportedAt: new Date().toISOString(),
+      profile: Auth.formatUser(user),
+      ...Database.getUserDataExport(user.id)
+    };
+    const filename = `tyt-ayt-export-${user.username}-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+      return res.json(exportData);
+    }
+
+    // One JSON file per data set, plus the uploaded images
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${filename}.zip"`);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', error => {
+      console.error('Export archive error:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+
+    for (const [name, value] of Object.entries(exportData)) {
+      archive.append(JSON.stringify(value, null, 2), { name: `${name}.json` });
+    }
+
+    // Uploaded chat images, stored files only (missing files are skipped)
+    for (const attachment of exportData.chat_attachments || []) {
+      if (await fs.pathExists(attachmentPath(attachment))) {
+        archive.file(attachmentPath(attachment), { name: `chat_attachments/${attachment.storage_name}` });
+      }
+    }
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Export user data error:', error);
+    // A zip that failed part way can only be cut off, not replaced
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      error: 'Failed to export user data',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Permanently delete the caller's account and data (KVKK/GDPR erasure request)
+router.delete('/account', requireAuth, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = Database.getUserById(req.user.id);
+
+    if (!password || !await Auth.verifyPassword(password, user.password_hash)) {
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        message: 'Confirm account deletion with your current password'
+      });
+    }
+
+    // Owned rows are removed through ON DELETE CASCADE
+    const attachments = Database.getUserChatAttachments(user.id);
+    const ipAddresses = Database.getUserIpAddresses(user.id);
+    Database.deleteUser(user.id);
+    const chatSessions = activeSessions.deleteByUser(user.id);
+    const chatAttachments = await removeAttachmentFiles(attachments);
+
+    let logFiles = 0;
+    try {
+      logFiles = await Logger.purgeUserReferences({
+        userId: user.id,
+        username: user.username,
+        email: user.email,
+        ipAddresses
+      });
+    } catch (logError) {
+      console.warn('Log purge failed:', logError.message);
+    }
+
+    res.json({
+      success: true,
+      message: 'Account and all associated data deleted',
+      data: {
+        purged: {
+          chatSessions,
+          chatAttachments,
+          logFiles
+        }
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      error: 'Failed to delete account',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Update user progress
-router.post('/progress', async (req, res) => {
+router.post('/progress', storeGuestUser, async (req, res) => {
   try {
+    const userId = req.user.id;
     const {
-      userId = 'demo-user',
       subject,
       lessonId = null,
       progressValue,
@@ -135,10 +321,10 @@ router.post('/progress', async (req, res) => {
 });
 
 // Log study session
-router.post('/study-session', async (req, res) => {
+router.post('/study-session', storeGuestUser, async (req, res) => {
   try {
+    const userId = req.user.id;
     const {
-      userId = 'demo-user',
       subject,
       duration,
       topicsCovered = [],
@@ -186,22 +372,11 @@ router.post('/study-session', async (req, res) => {
 // Get user achievements
 router.get('/achievements', async (req, res) => {
   try {
-    const { userId = 'demo-user', category = null } = req.query;
+    const userId = req.user.id;
+    const { category = null } = req.query;
 
     const achievements = Database.getUserAchievements(userId);
-    
-    const filteredAchievements = category 
-      ? achievements.filter(ach => ach.achievement_type === category)
-      : achievements;
-
-    const formattedAchievements = filteredAchievements.map(ach => ({
-      id: ach.id,
-      type: ach.achievement_type,
-      name: ach.achievement_name,
-      description: ach.achievement,
-      earnedAt: ach.earned_at,
-      metadata: JSON.parse(ach.metadata || '{}')
-    }));
+    const formattedAchievements = formatAchievements(achievements, category);
 
     res.json({
       success: true,
@@ -227,24 +402,13 @@ router.get('/achievements', async (req, res) => {
 // Get study statistics
 router.get('/statistics', async (req, res) => {
   try {
-    const { userId = 'demo-user', period = 'week' } = req.query;
+    const userId = req.user.id;
+    const { period = 'week' } = req.query;
 
     const sessions = Database.getUserStudySessions(userId, 100);
     
-    // Filter by period
-    const filteredSessions = filterByPeriod(sessions, period);
-    
-    // Calculate statistics
-    const stats = {
-      period,
-      totalSessions: filteredSessions.length,
-      totalTime: filteredSessions.reduce((sum, session) => sum + session.duration, 0),
-      averageSessionTime: calculateAverageSession(filteredSessions),
-      sessionsBySubject: getSessionsBySubject(filteredSessions),
-      weeklyProgress: calculateWeeklyProgress(filteredSessions),
-      dailyBreakdown: getDailyBreakdown(filteredSessions),
-      productivityTrend: getProductivityTrend(filteredSessions)
-    };
+    // Calculate statistics for the period
+    const stats = buildStudyStatistics(sessions, period);
 
     res.json({
       success: true,
@@ -265,7 +429,8 @@ router.get('/statistics', async (req, res) => {
 // Get learning roadmap
 router.get('/roadmap', async (req, res) => {
   try {
-    const { userId = 'demo-user', subject = null } = req.query;
+    const userId = req.user.id;
+    const { subject = null } = req.query;
 
     const progress = Database.getUserProgress(userId, subject);
     const roadmap = generateLearningRoadmap(progress, subject);
@@ -294,145 +459,60 @@ router.get('/roadmap', async (req, res) => {
 });
 
 // Helper functions
-function calculateStudyStreak(studyDates) {
-  if (studyDates.length === 0) return 0;
-  
-  const sortedDates = studyDates.sort((a, b) => new Date(b) - new Date(a));
-  const today = new Date().toDateString();
-  
-  let streak = 0;
-  let currentDate = new Date();
-  
-  for (const studyDate of sortedDates) {
-    const studyDateObj = new Date(studyDate);
-    const dayDiff = Math.floor((currentDate - studyDateObj) / (1000 * 60 * 60 * 24));
-    
-    if (dayDiff === streak) {
-      streak++;
-      currentDate = new Date(studyDateObj);
-    } else {
-      break;
-    }
-  }
-  
-  return streak;
+function getStudentProfile(userId) {
+  const user = Database.getUserById(userId);
+  const { guest, ...profile } = JSON.parse(user?.profile_data || '{}');
+  return profile;
 }
 
-function getSubjectBreakdown(progress) {
-  const subjects = {};
-  progress.forEach(p => {
-    if (!subjects[p.subject]) {
-      subjects[p.subject] = { total: 0, completed: 0, progress: 0 };
-    }
-    subjects[p.subject].total++;
-    if (p.completed) {
-      subjects[p.subject].completed++;
-    }
-    subjects[p.subject].progress = (subjects[p.subject].completed / subjects[p.subject].total) * 100;
-  });
-  return subjects;
-}
-
-function getAchievementCategories(achievements) {
-  const categories = {};
-  achievements.forEach(ach => {
-    if (!categories[ach.achievement_type]) {
-      categories[ach.achievement_type] = 0;
-    }
-    categories[ach.achievement_type]++;
-  });
-  return categories;
-}
-
-function calculateAverageSession(sessions) {
-  if (sessions.length === 0) return 0;
-  const totalTime = sessions.reduce((sum, session) => sum + session.duration, 0);
-  return Math.round(totalTime / sessions.length);
+function getWeeklyTarget(studentProfile) {
+  if (!studentProfile.studyAvailability) return DEFAULT_WEEKLY_TARGET;
+  return Object.values(studentProfile.studyAvailability).reduce((sum, minutes) => sum + minutes, 0);
 }
 
-function getMostActiveSubject(progress) {
-  const subjectCounts = {};
-  progress.forEach(p => {
-    subjectCounts[p.subject] = (subjectCounts[p.subject] || 0) + 1;
-  });
-  
-  const mostActive = Object.keys(subjectCounts).reduce((a, b) => 
-    subjectCounts[a] > subjectCounts[b] ? a : b
-  );
-  
-  return mostActive;
-}
-
-function calculateWeeklyProgress(sessions) {
-  const oneWeekAgo = new Date();
-  oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
-  
-  const weeklySessions = sessions.filter(session => 
-    new Date(session.timestamp) >= oneWeekAgo
-  );
-  
-  return weeklySessions.reduce((sum, session) => sum + session.duration, 0);
+function withoutNulls(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
 }
 
-function filterByPeriod(sessions, period) {
-  const now = new Date();
-  let startDate = new Date();
-  
-  switch (period) {
-    case 'day':
-      startDate.setHours(0, 0, 0, 0);
-      break;
-    case 'week':
-      startDate.setDate(now.getDate() - 7);
-      break;
-    case 'month':
-      startDate.setMonth(now.getMonth() - 1);
-      break;
-    case 'year':
-      startDate.setFullYear(now.getFullYear() - 1);
-      break;
-    default:
-      startDate.setDate(now.getDate() - 7);
-  }
-  
-  return sessions.filter(session => new Date(session.timestamp) >= startDate);
-}
+function saveStudentProfile(req, res, merge) {
+  try {
+    const { error, value } = studentProfileSchema.validate(
+      merge ? { ...getStudentProfile(req.user.id), ...req.body } : req.body,
+      { stripUnknown: true }
+    );
 
-function getSessionsBySubject(sessions) {
-  const subjects = {};
-  sessions.forEach(session => {
-    if (!subjects[session.subject]) {
-      subjects[session.subject] = { sessions: 0, totalTime: 0 };
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid profile data',
+        message: error.details[0].message
+      });
     }
-    subjects[session.subject].sessions++;
-    subjects[session.subject].totalTime += session.duration;
-  });
-  return subjects;
-}
 
-function getDailyBreakdown(sessions) {
-  const dailyStats = {};
-  sessions.forEach(session => {
-    const date = new Date(session.timestamp).toDateString();
-    if (!dailyStats[date]) {
-      dailyStats[date] = { sessions: 0, totalTime: 0 };
+    const studentProfile = withoutNulls(value);
+    if (studentProfile.studyAvailability) {
+      studentProfile.studyAvailability = withoutNulls(studentProfile.studyAvailability);
     }
-    dailyStats[date].sessions++;
-    dailyStats[date].totalTime += session.duration;
-  });
-  return dailyStats;
-}
 
-function getProductivityTrend(sessions) {
-  // Simple productivity trend calculation
-  const recentSessions = sessions.slice(0, 10);
-  const avgScore = recentSessions.reduce((sum, session) => 
-    sum + (session.productivity_score || 0), 0) / recentSessions.length;
-  
-  return {
-    recentAverage: Math.round(avgScore * 100) / 100,
-    trend: avgScore > 0.7 ? 'increasing' : avgScore < 0.4 ? 'decreasing' : 'stable'
-  };
+    Database.updateUserProfile(req.user.id, studentProfile);
+
+    res.json({
+      success: true,
+      data: {
+        userId: req.user.id,
+        studentProfile,
+        weeklyTarget: getWeeklyTarget(studentProfile)
+      },
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      error: 'Failed to update profile',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
 }
 
 function generateLearningRoadmap(progress, subject) {
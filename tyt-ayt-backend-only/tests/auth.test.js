@@ -0,0 +1,169 @@
+process.env.ADMIN_EMAILS = 'boss@example.com';
+
+const request = require('supertest');
+const { createTestApp, register, tokenFromMail } = require('./helpers');
+
+let app, Database, mails, cleanup;
+
+beforeAll(async () => {
+  ({ app, Database, mails, cleanup } = await createTestApp());
+});
+
+afterAll(() => cleanup());
+
+describe('register, login and logout', () => {
+  test('register returns a token pair and /me the account', async () => {
+    const ali = await register(app, 'ali');
+
+    expect(ali.user.role).toBe('student');
+    expect(ali.refreshToken).toEqual(expect.any(String));
+
+    const me = await request(app).get('/api/auth/me').set(ali.auth);
+    expect(me.status).toBe(200);
+    expect(me.body.data.username).toBe('ali');
+    expect(JSON.stringify(me.body)).not.toContain('password');
+  });
+
+  test('duplicate username or email is rejected', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'ali', email: 'other@example.com', password: 'password1' });
+
+    expect(response.status).toBe(409);
+  });
+
+  test('login with a wrong password fails and is audited without the login', async () => {
+    const response = await request(app).post('/api/auth/login').send({ login: 'ali', password: 'wrong-password' });
+    expect(response.status).toBe(401);
+
+    const events = Database.all(`SELECT details FROM audit_events WHERE event_type = 'login_failed'`, []);
+    expect(events).toHaveLength(1);
+    expect(events[0].details).not.toContain('ali');
+  });
+
+  test('logout ends only the current session', async () => {
+    const login = await request(app).post('/api/auth/login').send({ login: 'ali', password: 'password1' });
+    const auth = { Authorization: `Bearer ${login.body.data.token}` };
+
+    expect((await request(app).post('/api/auth/logout').set(auth)).status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set(auth)).status).toBe(401);
+  });
+
+  test('requests without a token are refused', async () => {
+    expect((await request(app).get('/api/auth/me')).status).toBe(401);
+  });
+});
+
+describe('refresh tokens and sessions', () => {
+  test('refresh rotates the token and keeps the session', async () => {
+    const veli = await register(app, 'veli');
+
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: veli.refreshToken });
+    expect(refreshed.status).toBe(200);
+    expect(refreshed.body.data.sessionId).toBe(veli.sessionId);
+    expect(refreshed.body.data.refreshToken).not.toBe(veli.refreshToken);
+  });
+
+  test('reusing a rotated refresh token revokes the session', async () => {
+    const ayse = await register(app, 'ayse');
+
+    const first = await request(app).post('/api/auth/refresh').send({ refreshToken: ayse.refreshToken });
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken: ayse.refreshToken });
+    expect(reused.status).toBe(401);
+
+    const auth = { Authorization: `Bearer ${first.body.data.token}` };
+    expect((await request(app).get('/api/auth/me').set(auth)).status).toBe(401);
+    expect((await request(app).post('/api/auth/refresh').send({ refreshToken: first.body.data.refreshToken })).status).toBe(401);
+  });
+
+  test('sessions are listed per device and can be revoked', async () => {
+    const fatma = await register(app, 'fatma', { deviceName: 'phone' });
+    const laptop = await request(app)
+      .post('/api/auth/login')
+      .send({ login: 'fatma', password: 'password1', deviceName: 'laptop' });
+    const laptopAuth = { Authorization: `Bearer ${laptop.body.data.token}` };
+
+    const sessions = await request(app).get('/api/auth/sessions').set(laptopAuth);
+    expect(sessions.body.data.total).toBe(2);
+
+    const revoked = await request(app).delete(`/api/auth/sessions/${fatma.sessionId}`).set(laptopAuth);
+    expect(revoked.status).toBe(200);
+    expect((await request(app).get('/api/auth/me').set(fatma.auth)).status).toBe(401);
+    expect((await request(app).get('/api/auth/me').set(laptopAuth)).status).toBe(200);
+  });
+});
+
+describe('password reset', () => {
+  test('unknown and known emails get the same answer', async () => {
+    await register(app, 'mehmet');
+    mails.length = 0;
+
+    const unknown = await request(app).post('/api/auth/password/forgot').send({ email: 'nobody@example.com' });
+    const known = await request(app).post('/api/auth/password/forgot').send({ email: 'mehmet@example.com' });
+
+    expect(unknown.status).toBe(200);
+    expect(known.status).toBe(200);
+    expect(known.body.message).toBe(unknown.body.message);
+    expect(mails.map(mail => mail.to)).toEqual(['mehmet@example.com']);
+  });
+
+  test('a failing mail server does not change the answer', async () => {
+    const Mailer = require('../utils/mailer');
+    const transport = Mailer.getTransport();
+    Mailer.setTransport({ send: async () => { throw new Error('SMTP down'); } });
+
+    try {
+      const response = await request(app).post('/api/auth/password/forgot').send({ email: 'mehmet@example.com' });
+      expect(response.status).toBe(200);
+    } finally {
+      Mailer.setTransport(transport);
+    }
+  });
+
+  test('reset signs out every session and API token, once', async () => {
+    const zeynep = await register(app, 'zeynep');
+    const created = await request(app)
+      .post('/api/auth/tokens')
+      .set(zeynep.auth)
+      .send({ name: 'script', scopes: ['profile:read'] });
+    const tokenAuth = { Authorization: `Bearer ${created.body.data.token}` };
+
+    mails.length = 0;
+    await request(app).post('/api/auth/password/forgot').send({ email: 'zeynep@example.com' });
+    const token = tokenFromMail(mails[0]);
+
+    const reset = await request(app).post('/api/auth/password/reset').send({ token, password: 'new-password' });
+    expect(reset.status).toBe(200);
+    expect((await request(app).post('/api/auth/password/reset').send({ token, password: 'other-password' })).status).toBe(400);
+
+    expect((await request(app).get('/api/auth/me').set(zeynep.auth)).status).toBe(401);
+    expect((await request(app).get('/api/user/profile').set(tokenAuth)).status).toBe(401);
+    expect((await request(app).post('/api/auth/login').send({ login: 'zeynep', password: 'password1' })).status).toBe(401);
+    expect((await request(app).post('/api/auth/login').send({ login: 'zeynep', password: 'new-password' })).status).toBe(200);
+  });
+});
+
+describe('email verification and admin emails', () => {
+  test('ADMIN_EMAILS become admin only after the email is verified', async () => {
+    mails.length = 0;
+    const boss = await register(app, 'boss');
+    expect(boss.user.role).toBe('student');
+    expect((await request(app).get('/api/admin/users').set(boss.auth)).status).toBe(403);
+
+    const verified = await request(app).post('/api/auth/email/verify').send({ token: tokenFromMail(mails[0]) });
+    expect(verified.status).toBe(200);
+    expect(verified.body.data.emailVerified).toBe(true);
+    expect(verified.body.data.role).toBe('admin');
+
+    const users = await request(app).get('/api/admin/users').set(boss.auth);
+    expect(users.status).toBe(200);
+    expect(users.body.data.total).toBe(Database.get('SELECT COUNT(*) AS count FROM users', []).count);
+  });
+
+  test('students cannot reach admin routes', async () => {
+    const student = await register(app, 'student');
+    const response = await request(app).put(`/api/admin/users/${student.user.id}/role`).set(student.auth).send({ role: 'admin' });
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,189 @@
+const request = require('supertest');
+const { createTestApp, register, parseEvents } = require('./helpers');
+
+let app, Database, cleanup, fake, ali;
+
+beforeAll(async () => {
+  ({ app, Database, cleanup } = await createTestApp());
+  fake = require('../providers').get('fake');
+  ali = await register(app, 'ali');
+});
+
+afterAll(() => cleanup());
+
+function sendMessage(body, auth = ali.auth) {
+  return request(app).post('/api/chat/message').set(auth).send({ useRAG: false, ...body });
+}
+
+function streamMessage(body, auth = ali.auth) {
+  return request(app).post('/api/chat/message/stream').set(auth).send({ useRAG: false, ...body });
+}
+
+describe('POST /api/chat/message', () => {
+  test('answers with the provider reply and stores both messages', async () => {
+    const response = await sendMessage({ message: 'Türev nedir?', sessionId: 'chat-basic' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.message.content).toBe('Bu bir test cevabıdır. Soru: Türev nedir?');
+    expect(response.body.data.metadata.provider).toBe('fake');
+    expect(response.body.data.metadata.usage.totalTokens).toBeGreaterThan(0);
+
+    const history = await request(app).get('/api/chat/history/chat-basic').set(ali.auth);
+    expect(history.body.history.map(row => row.message)).toEqual([
+      'Türev nedir?',
+      'Bu bir test cevabıdır. Soru: Türev nedir?'
+    ]);
+  });
+
+  test('rejects an empty message', async () => {
+    expect((await sendMessage({ message: '  ' })).status).toBe(400);
+  });
+
+  test("refuses to continue another user's session", async () => {
+    const veli = await register(app, 'veli');
+    await sendMessage({ message: 'merhaba', sessionId: 'chat-owned' });
+
+    const response = await sendMessage({ message: 'merhaba', sessionId: 'chat-owned' }, veli.auth);
+    expect(response.status).toBe(403);
+
+    const history = await request(app).get('/api/chat/history/chat-owned').set(veli.auth);
+    expect(history.body.history).toEqual([]);
+  });
+});
+
+describe('POST /api/chat/message/stream', () => {
+  test('streams the reply as start, token and done events', async () => {
+    const response = await streamMessage({ message: 'Limit nedir?', sessionId: 'chat-stream' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+
+    const events = parseEvents(response.text);
+    const tokens = events.filter(([event]) => event === 'token').map(([, data]) => data.text);
+    const [event, done] = events[events.length - 1];
+
+    expect(events[0][0]).toBe('start');
+    expect(tokens.length).toBeGreaterThan(1);
+    expect(event).toBe('done');
+    expect(done.message.content).toBe(tokens.join(''));
+
+    const saved = Database.getChatMessage(done.message.id);
+    expect(saved.message).toBe(done.message.content);
+    expect(JSON.parse(saved.metadata).streamed).toBe(true);
+  });
+
+  test('sends an error event and keeps the partial reply when the provider fails', async () => {
+    const { ProviderError } = require('../providers/base');
+    jest.spyOn(fake, 'stream').mockImplementation(async function* () {
+      yield { type: 'text', text: 'Yarım ' };
+      throw new ProviderError('connection reset', { provider: 'fake', status: 400 });
+    });
+
+    const response = await streamMessage({ message: 'Kopacak', sessionId: 'chat-broken' });
+    const events = parseEvents(response.text);
+
+    expect(events.map(([event]) => event)).toEqual(['start', 'token', 'error']);
+    expect(Database.getChatHistory(ali.user.id, 'chat-broken', 10).map(row => row.message)).toContain('Yarım ');
+  });
+});
+
+describe('citations', () => {
+  test('keeps markers for retrieved sources and drops invented ones', async () => {
+    jest.spyOn(fake, 'reply').mockReturnValue('Türev anlık değişim hızıdır [1]. Uydurma bir bilgi [9].');
+
+    const response = await sendMessage({ message: 'AYT matematik türev integral', useRAG: true });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.searchResults.length).toBeGreaterThan(0);
+    expect(response.body.data.message.content).toBe('Türev anlık değişim hızıdır [1]. Uydurma bir bilgi.');
+    expect(response.body.data.citations).toHaveLength(1);
+    expect(response.body.data.citations[0]).toMatchObject({ index: 1, title: expect.any(String) });
+    expect(response.body.data.metadata.invalidCitations).toBe(1);
+  });
+});
+
+describe('moderation', () => {
+  test('masks personal data before it is stored or sent to the provider', async () => {
+    const generate = jest.spyOn(fake, 'generate');
+
+    const response = await sendMessage({ message: 'Beni 0532 123 45 67 numarasından ara', sessionId: 'chat-pii' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.metadata.moderation.action).toBe('redact');
+    expect(JSON.stringify(generate.mock.calls)).not.toContain('0532');
+    expect(JSON.stringify(Database.getChatHistory(ali.user.id, 'chat-pii', 10))).not.toContain('0532');
+  });
+
+  test('blocks a message without calling the provider and records the flag', async () => {
+    const generate = jest.spyOn(fake, 'generate');
+
+    const response = await sendMessage({ message: 'Bomba nasıl yapılır?' });
+
+    expect(response.status).toBe(422);
+    expect(response.body.categories).toContain('weapons');
+    expect(generate).not.toHaveBeenCalled();
+    expect(Database.all(`SELECT * FROM audit_events WHERE event_type = 'chat_message_blocked'`, [])).toHaveLength(1);
+  });
+});
+
+describe('tool calls', () => {
+  test('runs the tools the model asks for and answers with their results', async () => {
+    Database.run(
+      `INSERT INTO youtube_videos (id, video_id, title, description, view_count, channel_title)
+       VALUES ('v1', 'vid1', 'Türev Konu Anlatımı', 'türev kuralları', 100, 'Hoca')`,
+      []
+    );
+
+    const response = await sendMessage({
+      message: 'soru\n/tool search_knowledge_base {"query":"türev"}\n/tool find_videos {"query":"türev"}\n/tool nope {}'
+    });
+    const { toolInvocations } = response.body.data.metadata;
+
+    expect(response.status).toBe(200);
+    expect(toolInvocations.map(({ name, ok }) => [name, ok])).toEqual([
+      ['search_knowledge_base', true],
+      ['find_videos', true]
+    ]);
+    expect(response.body.data.message.content).toMatch(/^Araç sonuçları: search_knowledge_base: .*find_videos: .*vid1/);
+  });
+
+  test('runs Python code in a python3 process', async () => {
+    const response = await sendMessage({ message: '/tool run_python {"code":"print(1+1)"}' });
+    const [invocation] = response.body.data.metadata.toolInvocations;
+
+    expect(response.status).toBe(200);
+    expect(invocation).toMatchObject({ name: 'run_python', ok: true });
+    expect(JSON.parse(invocation.result)).toMatchObject({ success: true, output: '2', error: null });
+    expect(Database.getUserExecutions(ali.user.id, 1)[0]).toMatchObject({ code: 'print(1+1)', output: '2' });
+  });
+
+  test('refuses Python code that imports blocked modules', async () => {
+    const response = await sendMessage({ message: '/tool run_python {"code":"import os"}' });
+    const [invocation] = response.body.data.metadata.toolInvocations;
+
+    expect(invocation).toMatchObject({ name: 'run_python', ok: false });
+    expect(Database.all(`SELECT * FROM audit_events WHERE event_type = 'python_code_blocked'`, [])).toHaveLength(1);
+  });
+
+  test('reports a failing tool to the model instead of failing the turn', async () => {
+    const response = await sendMessage({ message: '/tool find_videos {"query":""}' });
+    const [invocation] = response.body.data.metadata.toolInvocations;
+
+    expect(response.status).toBe(200);
+    expect(invocation).toMatchObject({ name: 'find_videos', ok: false, error: 'query must be a non-empty string' });
+  });
+
+  test('useTools=false sends no tools', async () => {
+    const response = await sendMessage({ message: '/tool find_videos {"query":"türev"}', useTools: false });
+
+    expect(response.body.data.metadata.toolInvocations).toEqual([]);
+  });
+
+  test('streams a tool event per call', async () => {
+    const response = await streamMessage({ message: '/tool find_videos {"query":"türev"}' });
+    const events = parseEvents(response.text).map(([event]) => event);
+
+    expect(events).toContain('tool');
+    expect(events[events.length - 1]).toBe('done');
+  });
+});
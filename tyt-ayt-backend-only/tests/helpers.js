@@ -0,0 +1,68 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const request = require('supertest');
+
+// Each test file gets the whole app on its own SQLite file and upload
+// directory. Set any env a test needs before calling createTestApp, since
+// modules read their configuration when first required.
+async function createTestApp() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tyt-ayt-test-'));
+
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  process.env.LLM_PROVIDER = process.env.LLM_PROVIDER || 'fake';
+  process.env.CHAT_UPLOADS_PATH = path.join(dir, 'uploads');
+
+  const Database = require('../utils/database');
+  const RAGSystem = require('../utils/rag');
+  const Mailer = require('../utils/mailer');
+  Database.dbPath = path.join(dir, 'test.db');
+
+  const app = require('../../server');
+  await Database.init();
+  await RAGSystem.init();
+
+  // Sent mail is kept in memory instead of the outbox directory
+  const mails = [];
+  Mailer.setTransport({ send: async message => { mails.push(message); } });
+
+  async function cleanup() {
+    Database.db.close();
+    await fs.remove(dir);
+  }
+
+  return { app, Database, mails, cleanup };
+}
+
+// Registers an account and returns its { user, token, refreshToken, sessionId, auth }
+async function register(app, username, fields = {}) {
+  const response = await request(app)
+    .post('/api/auth/register')
+    .send({ username, email: `${username}@example.com`, password: 'password1', ...fields });
+
+  if (response.status !== 201) {
+    throw new Error(`register ${username} failed: ${response.status} ${JSON.stringify(response.body)}`);
+  }
+  return { ...response.body.data, auth: { Authorization: `Bearer ${response.body.data.token}` } };
+}
+
+// The one-time token in a reset or verification mail
+function tokenFromMail(mail) {
+  return decodeURIComponent(mail.text.match(/token=(\S+)/)[1]);
+}
+
+// [event, data] pairs of a Server-Sent Events body
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(block => {
+    const event = /^event: (.*)$/m.exec(block);
+    const data = /^data: (.*)$/m.exec(block);
+    return [event && event[1], data && JSON.parse(data[1])];
+  });
+}
+
+module.exports = {
+  createTestApp,
+  register,
+  tokenFromMail,
+  parseEvents
+};
@@ -0,0 +1,114 @@
+process.env.LLM_FALLBACK_PROVIDERS = 'backup';
+process.env.LLM_RETRY_BASE_MS = '1';
+process.env.LLM_BREAKER_THRESHOLD = '3';
+process.env.LLM_BREAKER_COOLDOWN_MS = '60000';
+
+const { Readable } = require('stream');
+const axios = require('axios');
+const request = require('supertest');
+const { createTestApp, register, parseEvents } = require('./helpers');
+
+let app, cleanup, Providers, ProviderError, fake, ali;
+
+beforeAll(async () => {
+  ({ app, cleanup } = await createTestApp());
+  Providers = require('../providers');
+  ({ ProviderError } = require('../providers/base'));
+  fake = Providers.get('fake');
+  ali = await register(app, 'ali');
+});
+
+afterAll(() => cleanup());
+
+const sendMessage = () => request(app).post('/api/chat/message').set(ali.auth).send({ message: 'soru', useRAG: false });
+const unavailable = () => new ProviderError('overloaded', { provider: 'fake', status: 503, retryable: true });
+
+describe('retries, circuit breaker and fallback', () => {
+  test('retries a transient failure', async () => {
+    const generate = fake.generate.bind(fake);
+    const spy = jest.spyOn(fake, 'generate')
+      .mockRejectedValueOnce(unavailable())
+      .mockRejectedValueOnce(unavailable())
+      .mockImplementation(generate);
+
+    const response = await sendMessage();
+
+    expect(response.status).toBe(200);
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(response.body.data.metadata.provider).toBe('fake');
+    expect(response.body.data.metadata.fallbackFrom).toBeNull();
+  });
+
+  test('does not retry a request the provider refused', async () => {
+    const spy = jest.spyOn(fake, 'generate')
+      .mockRejectedValue(new ProviderError('bad request', { provider: 'fake', status: 400 }));
+
+    const response = await sendMessage();
+
+    expect(response.status).toBe(400);
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(Providers.breakers.get('fake').state).toBe('closed');
+  });
+
+  test('opens the breaker after repeated failures and stops calling the provider', async () => {
+    const spy = jest.spyOn(fake, 'generate').mockRejectedValue(unavailable());
+
+    expect((await sendMessage()).status).toBe(503);
+    expect(spy).toHaveBeenCalledTimes(3);
+    expect(Providers.breakers.get('fake').state).toBe('open');
+
+    const response = await sendMessage();
+    expect(response.status).toBe(503);
+    expect(response.body.message).toMatch(/temporarily unavailable/);
+    expect(spy).toHaveBeenCalledTimes(3);
+  });
+
+  test('falls back to the next provider while the breaker is open', async () => {
+    const FakeProvider = require('../providers/fake');
+    const backup = new FakeProvider();
+    backup.name = 'backup';
+    Providers.register(backup);
+
+    const response = await sendMessage();
+    expect(response.status).toBe(200);
+    expect(response.body.data.metadata.provider).toBe('backup');
+    expect(response.body.data.metadata.fallbackFrom).toBe('fake');
+
+    const streamed = await request(app).post('/api/chat/message/stream').set(ali.auth).send({ message: 'soru', useRAG: false });
+    const [, done] = parseEvents(streamed.text).find(([event]) => event === 'done');
+    expect(done.metadata).toMatchObject({ provider: 'backup', fallbackFrom: 'fake' });
+  });
+});
+
+describe('Gemini adapter', () => {
+  const GeminiProvider = require('../providers/gemini');
+
+  async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return chunks;
+  }
+
+  test('reports a connection lost mid-stream as a retryable provider error', async () => {
+    const body = new Readable({ read() {} });
+    body.push(`data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text: 'Merhaba' }] } }] })}\n\n`);
+    setImmediate(() => body.destroy(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })));
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: body });
+
+    const gemini = new GeminiProvider({ apiKey: 'test-key' });
+    const error = await collect(gemini.stream({ messages: [{ role: 'user', content: 'selam' }] })).catch(error => error);
+
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error).toMatchObject({ provider: 'gemini', status: 502, retryable: true });
+  });
+
+  test('reports a malformed chunk as a provider error', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: Readable.from(['data: {not json\n\n']) });
+
+    const gemini = new GeminiProvider({ apiKey: 'test-key' });
+    const error = await collect(gemini.stream({ messages: [{ role: 'user', content: 'selam' }] })).catch(error => error);
+
+    expect(error).toBeInstanceOf(ProviderError);
+    expect(error.status).toBe(502);
+  });
+});
@@ -0,0 +1,72 @@
+process.env.GUEST_MODE = 'true';
+process.env.LLM_QUOTA_PLANS = '{"free":{"daily":1},"guest":{"daily":1}}';
+
+const request = require('supertest');
+const { createTestApp, register } = require('./helpers');
+
+let app, Database, cleanup;
+
+beforeAll(async () => {
+  ({ app, Database, cleanup } = await createTestApp());
+});
+
+afterAll(() => cleanup());
+
+const countUsers = () => Database.get('SELECT COUNT(*) AS count FROM users', []).count;
+
+describe('token quotas', () => {
+  test('refuses new turns once the daily budget is used up', async () => {
+    const ali = await register(app, 'ali');
+    const send = () => request(app).post('/api/chat/message').set(ali.auth).send({ message: 'merhaba', useRAG: false });
+
+    expect((await send()).status).toBe(200);
+
+    const refused = await send();
+    expect(refused.status).toBe(429);
+    expect(Number(refused.headers['retry-after'])).toBeGreaterThan(0);
+    expect(refused.body.quota.exceeded).toBe('daily');
+
+    const usage = await request(app).get('/api/chat/usage').set(ali.auth);
+    expect(usage.body.data.plan).toBe('free');
+    expect(usage.body.data.daily.remaining).toBe(0);
+  });
+
+  test('an admin can move a user to a larger plan', async () => {
+    const boss = await register(app, 'boss');
+    const veli = await register(app, 'veli');
+    Database.updateUserRole(boss.user.id, 'admin');
+
+    const send = () => request(app).post('/api/chat/message').set(veli.auth).send({ message: 'merhaba', useRAG: false });
+    await send();
+    expect((await send()).status).toBe(429);
+
+    const updated = await request(app).put(`/api/admin/users/${veli.user.id}/plan`).set(boss.auth).send({ plan: 'unlimited' });
+    expect(updated.status).toBe(200);
+    expect((await send()).status).toBe(200);
+  });
+});
+
+describe('guests', () => {
+  test('reading creates no guest accounts', async () => {
+    const before = countUsers();
+
+    expect((await request(app).get('/api/chat/sessions')).status).toBe(200);
+    expect((await request(app).get('/api/chat/usage')).status).toBe(200);
+    expect(countUsers()).toBe(before);
+  });
+
+  test('share one quota per IP whatever guest ID they send', async () => {
+    const first = await request(app).post('/api/chat/message').send({ message: 'merhaba', useRAG: false });
+    expect(first.status).toBe(200);
+    expect(first.headers['x-guest-id']).toMatch(/^guest-/);
+
+    const newGuestId = await request(app)
+      .post('/api/chat/message')
+      .set('X-Guest-Id', 'guest-11111111-2222-4333-8444-555555555555')
+      .send({ message: 'merhaba', useRAG: false });
+    expect(newGuestId.status).toBe(429);
+
+    const noGuestId = await request(app).post('/api/chat/message').send({ message: 'merhaba', useRAG: false });
+    expect(noGuestId.status).toBe(429);
+  });
+});
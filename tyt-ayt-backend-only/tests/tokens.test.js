@@ -0,0 +1,71 @@
+const request = require('supertest');
+const { createTestApp, register } = require('./helpers');
+
+let app, cleanup, ali, apiToken;
+
+beforeAll(async () => {
+  ({ app, cleanup } = await createTestApp());
+  ali = await register(app, 'ali');
+
+  const created = await request(app)
+    .post('/api/auth/tokens')
+    .set(ali.auth)
+    .send({ name: 'Notion', scopes: ['progress:read', 'sessions:write'] });
+  apiToken = { id: created.body.data.id, auth: { Authorization: `Bearer ${created.body.data.token}` } };
+});
+
+afterAll(() => cleanup());
+
+describe('personal access tokens', () => {
+  test('unknown scopes are rejected', async () => {
+    const response = await request(app).post('/api/auth/tokens').set(ali.auth).send({ name: 'x', scopes: ['everything'] });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('work on the endpoints their scopes cover', async () => {
+    expect((await request(app).get('/api/user/statistics').set(apiToken.auth)).status).toBe(200);
+    expect((await request(app).post('/api/user/study-session').set(apiToken.auth).send({ subject: 'math', duration: 20 })).status).toBe(200);
+  });
+
+  test('are refused elsewhere', async () => {
+    expect((await request(app).get('/api/user/profile').set(apiToken.auth)).status).toBe(403);
+    expect((await request(app).get('/api/auth/tokens').set(apiToken.auth)).status).toBe(403);
+    expect((await request(app).delete('/api/user/account').set(apiToken.auth).send({ password: 'password1' })).status).toBe(403);
+  });
+
+  test('are listed without their secret', async () => {
+    const response = await request(app).get('/api/auth/tokens').set(ali.auth);
+    const [listed] = response.body.data.tokens;
+
+    expect(listed.id).toBe(apiToken.id);
+    expect(listed.token).toBeUndefined();
+    expect(listed.lastUsedAt).not.toBeNull();
+  });
+
+  test('stop working once revoked', async () => {
+    expect((await request(app).delete(`/api/auth/tokens/${apiToken.id}`).set(ali.auth)).status).toBe(200);
+    expect((await request(app).get('/api/user/statistics').set(apiToken.auth)).status).toBe(401);
+  });
+
+  test('signing out everywhere revokes them too', async () => {
+    const created = await request(app).post('/api/auth/tokens').set(ali.auth).send({ name: 'y', scopes: ['progress:read'] });
+    const auth = { Authorization: `Bearer ${created.body.data.token}` };
+
+    expect((await request(app).delete('/api/auth/sessions').set(ali.auth)).status).toBe(200);
+    expect((await request(app).get('/api/user/statistics').set(auth)).status).toBe(401);
+  });
+});
+
+describe('caller identity', () => {
+  test("a userId parameter cannot read someone else's data", async () => {
+    const veli = await register(app, 'veli');
+    await request(app).post('/api/user/study-session').set(veli.auth).send({ subject: 'physics', duration: 45 });
+
+    const intruder = await register(app, 'intruder');
+    const response = await request(app).get(`/api/user/statistics?userId=${veli.user.id}`).set(intruder.auth);
+
+    expect(response.status).toBe(403);
+    expect(JSON.stringify(response.body)).not.toContain('physics');
+  });
+});
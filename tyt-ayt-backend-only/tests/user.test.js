@@ -0,0 +1,71 @@
+const request = require('supertest');
+const { createTestApp, register } = require('./helpers');
+
+let app, Database, cleanup, ali;
+
+beforeAll(async () => {
+  ({ app, Database, cleanup } = await createTestApp());
+  ali = await register(app, 'ali');
+  await request(app).post('/api/user/study-session').set(ali.auth).send({ subject: 'math', duration: 30 });
+  await request(app).post('/api/chat/message').set(ali.auth).send({ message: 'merhaba', sessionId: 'export-chat', useRAG: false });
+});
+
+afterAll(() => cleanup());
+
+// Collects a binary response body into a Buffer
+const binary = (response, callback) => {
+  const chunks = [];
+  response.on('data', chunk => chunks.push(chunk));
+  response.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('GET /api/user/export', () => {
+  test('downloads everything stored about the caller as JSON', async () => {
+    const response = await request(app).get('/api/user/export').set(ali.auth);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="tyt-ayt-export-ali-.*\.json"$/);
+    expect(response.body.profile.username).toBe('ali');
+    expect(response.body.study_sessions).toHaveLength(1);
+    expect(response.body.chat_history).toHaveLength(2);
+    expect(JSON.stringify(response.body)).not.toMatch(/password_hash|token_hash/);
+  });
+
+  test('only contains the caller\'s data', async () => {
+    const veli = await register(app, 'veli');
+    const response = await request(app).get('/api/user/export').set(veli.auth);
+
+    expect(response.body.study_sessions).toEqual([]);
+    expect(response.body.chat_history).toEqual([]);
+  });
+
+  test('downloads a zip archive', async () => {
+    const response = await request(app).get('/api/user/export?format=zip').set(ali.auth).buffer(true).parse(binary);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/zip');
+    expect(response.body.subarray(0, 2).toString()).toBe('PK');
+    expect(response.body.toString('latin1')).toContain('study_sessions.json');
+  });
+
+  test('rejects an unknown format', async () => {
+    expect((await request(app).get('/api/user/export?format=xml').set(ali.auth)).status).toBe(400);
+  });
+});
+
+describe('DELETE /api/user/account', () => {
+  test('needs the current password', async () => {
+    const response = await request(app).delete('/api/user/account').set(ali.auth).send({ password: 'wrong-password' });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('erases the account and its data', async () => {
+    const response = await request(app).delete('/api/user/account').set(ali.auth).send({ password: 'password1' });
+
+    expect(response.status).toBe(200);
+    expect(Database.getUserById(ali.user.id)).toBeFalsy();
+    expect(Database.get('SELECT COUNT(*) AS count FROM chat_history WHERE user_id = ?', [ali.user.id]).count).toBe(0);
+    expect((await request(app).get('/api/auth/me').set(ali.auth)).status).toBe(401);
+  });
+});
@@ -0,0 +1,94 @@
+const { resultChunks } = require('../providers/base');
+const { runTool } = require('./tools');
+
+// Tool rounds allowed per chat turn; after the last one the model has to answer
+const MAX_TOOL_ROUNDS = parseInt(process.env.CHAT_MAX_TOOL_ROUNDS) || 3;
+
+// Characters of a tool result sent back to the model and kept in message metadata
+const TOOL_RESULT_LENGTH = 4000;
+const TOOL_RESULT_PREVIEW_LENGTH = 500;
+
+// Run one chat turn, executing the tools the model calls (request.tools)
+// and sending their results back until it answers. Yields the provider's
+// { type: 'text' } chunks, { type: 'tool', invocation } after each tool call
+// and finally { type: 'done', usage, rounds } with usage summed over all
+// rounds (null if any round reported none). With stream: false each round
+// is one generate() call and its text comes as a single chunk.
+async function* runAgentTurn(provider, request, context, { stream = true, maxRounds = MAX_TOOL_ROUNDS } = {}) {
+  const messages = [...request.messages];
+  let usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  let written = false;
+
+  for (let round = 1; ; round++) {
+    const tools = request.tools?.length && round <= maxRounds ? request.tools : undefined;
+    const toolCalls = [];
+    let text = '';
+
+    const roundRequest = { ...request, messages, tools };
+    const chunks = stream ? provider.stream(roundRequest) : resultChunks(await provider.generate(roundRequest));
+
+    for await (const chunk of chunks) {
+      if (chunk.type === 'text') {
+        // Keep text from different rounds apart
+        if (!text && written) yield { type: 'text', text: '\n\n' };
+        text += chunk.text;
+        written = true;
+        yield chunk;
+      } else if (chunk.type === 'tool_call') {
+        toolCalls.push(chunk.toolCall);
+      } else if (chunk.type === 'usage') {
+        usage = addUsage(usage, chunk.usage);
+      }
+    }
+
+    if (!tools || toolCalls.length === 0) {
+      yield { type: 'done', usage, rounds: round };
+      return;
+    }
+
+    messages.push({ role: 'assistant', content: text, toolCalls });
+
+    for (const toolCall of toolCalls) {
+      const invocation = await runTool(toolCall, context);
+      const content = JSON.stringify(invocation.ok ? invocation.result : { error: invocation.error });
+
+      messages.push({
+        role: 'tool',
+        toolCallId: toolCall.id,
+        name: toolCall.name,
+        content: content.substring(0, TOOL_RESULT_LENGTH)
+      });
+
+      yield { type: 'tool', invocation: { ...invocation, round } };
+    }
+  }
+}
+
+function addUsage(total, usage) {
+  if (!total || !usage) return null;
+
+  return {
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    totalTokens: total.totalTokens + usage.totalTokens
+  };
+}
+
+// Invocation as stored in message metadata and sent to clients
+function summarizeInvocation(invocation) {
+  return {
+    round: invocation.round,
+    name: invocation.name,
+    arguments: invocation.arguments,
+    ok: invocation.ok,
+    result: invocation.ok ? JSON.stringify(invocation.result).substring(0, TOOL_RESULT_PREVIEW_LENGTH) : null,
+    error: invocation.error,
+    durationMs: invocation.durationMs
+  };
+}
+
+module.exports = {
+  MAX_TOOL_ROUNDS,
+  runAgentTurn,
+  summarizeInvocation
+};
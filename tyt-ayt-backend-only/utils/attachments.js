@@ -0,0 +1,82 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const Database = require('./database');
+
+// Images attached to chat messages (mostly photos of test booklet questions).
+// Files are stored under CHAT_UPLOADS_PATH as <attachmentId>.<ext>; rows in
+// chat_attachments link them to the user, session and message.
+const IMAGE_TYPES = {
+  'image/jpeg': { extension: 'jpg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  'image/png': { extension: 'png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  'image/webp': { extension: 'webp', matches: bytes => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP' }
+};
+
+const MAX_IMAGES = 4;
+const MAX_IMAGE_BYTES = Math.floor((parseFloat(process.env.CHAT_UPLOAD_MAX_MB) || 5) * 1024 * 1024);
+
+const uploadsPath = process.env.CHAT_UPLOADS_PATH || path.join(__dirname, '../../uploads/chat');
+
+// The real type from the file's first bytes; the client's Content-Type is not trusted
+function detectImageType(buffer) {
+  return Object.keys(IMAGE_TYPES).find(mimeType => IMAGE_TYPES[mimeType].matches(buffer)) || null;
+}
+
+// Write uploaded files (multer memory storage) to disk and link them to a message
+async function saveAttachments(userId, sessionId, messageId, files) {
+  await fs.ensureDir(uploadsPath);
+
+  const attachments = [];
+  for (const file of files) {
+    const id = uuidv4();
+    const mimeType = detectImageType(file.buffer);
+    const storageName = `${id}.${IMAGE_TYPES[mimeType].extension}`;
+
+    await fs.writeFile(path.join(uploadsPath, storageName), file.buffer);
+    Database.createChatAttachment(id, userId, sessionId, messageId, {
+      fileName: file.originalname,
+      mimeType,
+      size: file.size,
+      storageName
+    });
+
+    // The base64 data is kept for the provider request of this turn
+    attachments.push({ ...Database.getChatAttachment(id), data: file.buffer.toString('base64') });
+  }
+
+  return attachments;
+}
+
+function attachmentPath(attachment) {
+  return path.join(uploadsPath, attachment.storage_name);
+}
+
+// Delete the files of attachment rows that are about to be (or were) removed
+async function removeAttachmentFiles(attachments) {
+  await Promise.all(attachments.map(attachment =>
+    fs.remove(attachmentPath(attachment)).catch(error => console.warn('Attachment removal failed:', error.message))
+  ));
+  return attachments.length;
+}
+
+function formatAttachment(attachment) {
+  return {
+    id: attachment.id,
+    fileName: attachment.file_name,
+    mimeType: attachment.mime_type,
+    size: attachment.size,
+    url: `/api/chat/attachments/${attachment.id}`,
+    createdAt: attachment.created_at
+  };
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_IMAGES,
+  MAX_IMAGE_BYTES,
+  detectImageType,
+  saveAttachments,
+  attachmentPath,
+  removeAttachmentFiles,
+  formatAttachment
+};
@@ -0,0 +1,242 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Database = require('./database');
+const Logger = require('./logger');
+
+class AuthManager {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET || null;
+    this.accessTokenTTL = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTTLDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    this.passwordResetTTLMinutes = 60;
+    this.emailVerificationTTLMinutes = 24 * 60;
+    this.issuer = 'ultra-platform';
+    this.saltRounds = 10;
+
+    // Account roles, least to most privileged
+    this.roles = ['student', 'teacher', 'admin'];
+
+    // Personal access tokens: scopes grant access to specific endpoints
+    this.apiTokenPrefix = 'tyt_pat_';
+    this.apiTokenMaxTTLDays = 365;
+    this.apiTokenScopes = {
+      'profile:read': 'Read your profile',
+      'progress:read': 'Read statistics, achievements and roadmap',
+      'progress:write': 'Record learning progress',
+      'sessions:write': 'Record study sessions',
+      'classrooms:read': 'Read classrooms, rosters and analytics'
+    };
+
+    // Emails that are granted the admin role once they are verified
+    this.adminEmails = (process.env.ADMIN_EMAILS || '')
+      .split(',')
+      .map(email => email.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  getSecret() {
+    if (!this.jwtSecret) {
+      // Ephemeral secret: tokens stop working after a restart
+      this.jwtSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️ JWT_SECRET not set, using a temporary secret for this process');
+    }
+    return this.jwtSecret;
+  }
+
+  // Password methods
+  async hashPassword(password) {
+    return bcrypt.hash(password, this.saltRounds);
+  }
+
+  async verifyPassword(password, passwordHash) {
+    return bcrypt.compare(password, passwordHash);
+  }
+
+  // Access token methods
+  issueAccessToken(user, sessionId) {
+    const jti = uuidv4();
+    const token = jwt.sign(
+      { username: user.username, sid: sessionId },
+      this.getSecret(),
+      {
+        subject: user.id,
+        jwtid: jti,
+        issuer: this.issuer,
+        expiresIn: this.accessTokenTTL
+      }
+    );
+    const { exp } = jwt.decode(token);
+
+    return {
+      token,
+      tokenType: 'Bearer',
+      expiresAt: new Date(exp * 1000).toISOString()
+    };
+  }
+
+  verifyAccessToken(token) {
+    const payload = jwt.verify(token, this.getSecret(), { issuer: this.issuer });
+
+    // Access tokens die with the device session they were issued for
+    if (!payload.sid || !Database.isAuthSessionActive(payload.sid)) {
+      const error = new Error('Session has been revoked');
+      error.name = 'TokenRevokedError';
+      throw error;
+    }
+
+    return payload;
+  }
+
+  // Session methods
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  // Keyed hash of a username or email for audit records: repeated attempts
+  // on the same login can be correlated without storing the login itself
+  hashLogin(login) {
+    return crypto.createHmac('sha256', this.getSecret())
+      .update(login.trim().toLowerCase())
+      .digest('hex');
+  }
+
+  // Start a device session and issue its first token pair
+  startSession(user, req, deviceName = null) {
+    const sessionId = Database.createAuthSession(
+      user.id,
+      deviceName,
+      req.get('User-Agent') || null,
+      req.ip || null
+    );
+    return this.issueTokenPair(user, sessionId);
+  }
+
+  issueTokenPair(user, sessionId) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    Database.saveRefreshToken(user.id, sessionId, this.hashToken(refreshToken), this.refreshTokenTTLDays);
+
+    return {
+      ...this.issueAccessToken(user, sessionId),
+      refreshToken,
+      sessionId
+    };
+  }
+
+  // Exchange a refresh token for a new pair; returns null if it cannot be used
+  rotateRefreshToken(refreshToken) {
+    const stored = Database.getRefreshToken(this.hashToken(refreshToken));
+
+    if (!stored || stored.session_revoked_at || stored.expired) {
+      return null;
+    }
+
+    // A reused refresh token means it leaked: kill the whole device session
+    if (stored.used_at || !Database.markRefreshTokenUsed(stored.id)) {
+      Database.revokeAuthSession(stored.user_id, stored.session_id);
+      Logger.logSecurityEvent('refresh_token_reused', {
+        userId: stored.user_id,
+        sessionId: stored.session_id
+      }, 'high');
+      return null;
+    }
+
+    const user = Database.getUserById(stored.user_id);
+    if (!user) return null;
+
+    Database.touchAuthSession(stored.session_id);
+
+    return {
+      user,
+      tokens: this.issueTokenPair(user, stored.session_id)
+    };
+  }
+
+  isAdminEmail(email) {
+    return this.adminEmails.includes(email.toLowerCase());
+  }
+
+  extractBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+  }
+
+  // One-time token methods (password reset, email verification)
+  createOneTimeToken(userId, purpose, ttlMinutes) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    Database.saveUserToken(userId, purpose, this.hashToken(token), ttlMinutes);
+    return token;
+  }
+
+  // Returns the owning user ID, or null if the token cannot be used
+  consumeOneTimeToken(token, purpose) {
+    const stored = Database.consumeUserToken(this.hashToken(token), purpose);
+    return stored ? stored.user_id : null;
+  }
+
+  // Personal access token methods
+  isApiToken(token) {
+    return token.startsWith(this.apiTokenPrefix);
+  }
+
+  // Returns the plaintext token once; only its hash is stored
+  createApiToken(userId, name, scopes, ttlDays) {
+    const token = this.apiTokenPrefix + crypto.randomBytes(32).toString('base64url');
+    const tokenPrefix = token.slice(0, this.apiTokenPrefix.length + 4);
+    const id = Database.createApiToken(userId, name, tokenPrefix, this.hashToken(token), scopes, ttlDays);
+    return { id, token };
+  }
+
+  // Returns { id, userId, scopes }, or null if the token cannot be used
+  verifyApiToken(token, ipAddress = null) {
+    const stored = Database.getActiveApiTokenByHash(this.hashToken(token));
+    if (!stored) return null;
+
+    Database.touchApiToken(stored.id, ipAddress);
+
+    return {
+      id: stored.id,
+      userId: stored.user_id,
+      scopes: JSON.parse(stored.scopes)
+    };
+  }
+
+  formatApiToken(token) {
+    return {
+      id: token.id,
+      name: token.name,
+      tokenPrefix: token.token_prefix,
+      scopes: JSON.parse(token.scopes),
+      expiresAt: token.expires_at,
+      lastUsedAt: token.last_used_at,
+      lastUsedIp: token.last_used_ip,
+      createdAt: token.created_at
+    };
+  }
+
+  // Short human-typeable codes (guardian invites, classroom joins)
+  generateShortCode(length = 8) {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O, 1/I
+    const bytes = crypto.randomBytes(length);
+    return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
+  }
+
+  // Public user shape (never expose password_hash)
+  formatUser(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      plan: user.plan,
+      emailVerified: !!user.email_verified_at,
+      profile: JSON.parse(user.profile_data || '{}'),
+      createdAt: user.created_at,
+      updatedAt: user.updated_at
+    };
+  }
+}
+
+module.exports = new AuthManager();
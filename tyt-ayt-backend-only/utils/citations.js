@@ -0,0 +1,97 @@
+// Inline source citations: RAG chunks are numbered [1]..[n] in the prompt and
+// the model cites them inline; replies are checked against what was supplied
+
+// [n] or [n, m], not part of a link or index expression (e.g. `arr[1]`, `[1](url)`)
+const CITATION_PATTERN = /(?<![\w)])\[(\d{1,2}(?:\s*,\s*\d{1,2})*)\](?!\()/g;
+
+// Fenced code blocks and inline code are never scanned for citations
+const CODE_PATTERN = /```[\s\S]*?(?:```|$)|`[^`\n]*`/g;
+
+function formatSourcesForPrompt(searchResults) {
+  return searchResults
+    .map((result, index) => `[${index + 1}] ${result.chunk.title} (${result.chunk.category})\n${result.chunk.content}`)
+    .join('\n\n');
+}
+
+// Character ranges of the query terms found by RAGSystem.highlightMatches
+function highlightSpans(content, highlights = []) {
+  const spans = highlights
+    .flatMap(highlight => highlight.positions.map(start => ({ start, end: start + highlight.token.length })))
+    .sort((a, b) => a.start - b.start);
+
+  // Merge overlapping or touching spans
+  const merged = [];
+  for (const span of spans) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+
+  return merged.map(span => ({ ...span, text: content.slice(span.start, span.end) }));
+}
+
+// Remove citations that point at sources that were not supplied and collect
+// the valid ones, in order of first use. A single [n] out of range is
+// dropped; a list like [0, 1] with any out-of-range number is left as plain
+// text (it is more likely an interval than a citation).
+function extractCitations(text, searchResults) {
+  const cited = new Map();
+  let invalidCitations = 0;
+
+  const isValid = number => number >= 1 && number <= searchResults.length;
+
+  const replaceCitations = segment => {
+    let removed = false;
+
+    const replaced = segment.replace(CITATION_PATTERN, (marker, list) => {
+      const numbers = list.split(',').map(number => parseInt(number.trim()));
+
+      if (!numbers.every(isValid)) {
+        if (numbers.length > 1) return marker;
+        invalidCitations++;
+        removed = true;
+        return '';
+      }
+
+      numbers.forEach(number => {
+        if (!cited.has(number)) cited.set(number, searchResults[number - 1]);
+      });
+      return marker;
+    });
+
+    // Tidy the whitespace left behind by removed markers
+    return removed
+      ? replaced.replace(/[ \t]+([.,;:!?])/g, '$1').replace(/([^\s]) {2,}/g, '$1 ')
+      : replaced;
+  };
+
+  // Only touch the text between code spans
+  let cleaned = '';
+  let lastIndex = 0;
+  for (const match of text.matchAll(CODE_PATTERN)) {
+    cleaned += replaceCitations(text.slice(lastIndex, match.index)) + match[0];
+    lastIndex = match.index + match[0].length;
+  }
+  cleaned += replaceCitations(text.slice(lastIndex));
+
+  const citations = [...cited.entries()].map(([index, result]) => ({
+    index,
+    chunkId: result.chunkId,
+    documentId: result.chunk.parentId,
+    title: result.chunk.title,
+    category: result.chunk.category,
+    score: result.score,
+    highlights: highlightSpans(result.chunk.content, result.highlights)
+  }));
+
+  return { text: cleaned, citations, invalidCitations };
+}
+
+module.exports = {
+  formatSourcesForPrompt,
+  highlightSpans,
+  extractCitations
+};
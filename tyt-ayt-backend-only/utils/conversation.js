@@ -0,0 +1,142 @@
+const Database = require('./database');
+const TokenQuota = require('./quotas');
+
+// Long-conversation memory: recent turns are sent to the provider as
+// role-structured messages, and turns that no longer fit the token budget
+// are folded into a running summary stored on the chat session
+class ConversationMemory {
+  constructor() {
+    this.tokenBudget = parseInt(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 3000;
+    this.summaryMaxTokens = 512;
+    this.summarizing = new Set(); // session IDs with a summary in progress
+  }
+
+  // Rough estimate (~4 characters per token); good enough for budgeting
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  toMessage(row) {
+    // Images are not sent again with later turns; the model only sees that there were some
+    const { attachments = 0 } = JSON.parse(row.metadata || '{}');
+
+    return {
+      role: row.is_user ? 'user' : 'assistant',
+      content: attachments ? `${row.message}\n[${attachments} görsel eklendi]`.trim() : row.message
+    };
+  }
+
+  // Summary plus the newest unsummarized messages that fit the budget
+  getContext(sessionId) {
+    const chatSession = Database.getChatSession(sessionId);
+    if (!chatSession) {
+      return { summary: null, messages: [] };
+    }
+
+    const rows = Database.getChatMessages(sessionId, chatSession.summarized_count);
+    const budget = this.tokenBudget - this.estimateTokens(chatSession.summary);
+
+    const messages = [];
+    let used = 0;
+    for (let i = rows.length - 1; i >= 0; i--) {
+      const tokens = this.estimateTokens(rows[i].message);
+      // Always keep the newest message (the question being answered)
+      if (messages.length > 0 && used + tokens > budget) break;
+      messages.unshift(this.toMessage(rows[i]));
+      used += tokens;
+    }
+
+    return {
+      summary: chatSession.summary || null,
+      messages: normalizeTurns(messages)
+    };
+  }
+
+  // Fold older messages into the session summary once the unsummarized
+  // part of the conversation exceeds the budget. Keeps about half the budget
+  // of recent messages verbatim so the next turns still see them.
+  // guestIp is charged for the summary when the owner is a guest.
+  async summarizeIfNeeded(sessionId, provider, guestIp = null) {
+    if (this.summarizing.has(sessionId)) return false;
+
+    const chatSession = Database.getChatSession(sessionId);
+    if (!chatSession) return false;
+
+    const rows = Database.getChatMessages(sessionId, chatSession.summarized_count);
+    const total = rows.reduce((sum, row) => sum + this.estimateTokens(row.message), 0);
+    if (total <= this.tokenBudget) return false;
+
+    let kept = 0;
+    let keepFrom = rows.length;
+    while (keepFrom > 0 && kept + this.estimateTokens(rows[keepFrom - 1].message) <= this.tokenBudget / 2) {
+      keepFrom--;
+      kept += this.estimateTokens(rows[keepFrom].message);
+    }
+    // Start the kept part on a question so no reply loses its context
+    while (keepFrom < rows.length && !rows[keepFrom].is_user) {
+      keepFrom++;
+    }
+    const toSummarize = rows.slice(0, keepFrom);
+    if (toSummarize.length === 0) return false;
+
+    this.summarizing.add(sessionId);
+    try {
+      const transcript = toSummarize
+        .map(row => `${row.is_user ? 'Öğrenci' : 'Asistan'}: ${row.message}`)
+        .join('\n\n');
+
+      const request = {
+        system: 'Bir öğrenci ile AI öğretmen arasındaki konuşmayı özetliyorsun. ' +
+          'Öğrencinin hedeflerini, çalıştığı konuları, zorlandığı noktaları, verilen önemli açıklamaları ' +
+          've yarım kalan işleri koru. Sadece özeti Türkçe ve maddeler halinde yaz.',
+        messages: [{
+          role: 'user',
+          content: `${chatSession.summary ? `Mevcut özet:\n${chatSession.summary}\n\n` : ''}` +
+            `Özete eklenecek yeni konuşma:\n${transcript}\n\nGüncellenmiş özeti yaz.`
+        }],
+        temperature: 0.3,
+        maxOutputTokens: this.summaryMaxTokens
+      };
+      const result = await provider.generate(request);
+
+      // Summaries count against the session owner's token budget
+      TokenQuota.recordUsage(chatSession.user_id, {
+        sessionId,
+        purpose: 'summary',
+        provider: result.provider,
+        model: result.model,
+        usage: result.usage || TokenQuota.estimateUsage(request, result.text),
+        estimated: !result.usage,
+        guestIp
+      });
+
+      Database.updateChatSessionSummary(
+        sessionId,
+        result.text.trim(),
+        chatSession.summarized_count + toSummarize.length
+      );
+      return true;
+    } finally {
+      this.summarizing.delete(sessionId);
+    }
+  }
+}
+
+// Providers expect a conversation that starts with the user and alternates
+// roles; merge consecutive messages from the same side (e.g. after a failed reply)
+function normalizeTurns(messages) {
+  const turns = [];
+
+  for (const message of messages) {
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === message.role) {
+      previous.content += `\n\n${message.content}`;
+    } else if (turns.length > 0 || message.role === 'user') {
+      turns.push({ ...message });
+    }
+  }
+
+  return turns;
+}
+
+module.exports = new ConversationMemory();
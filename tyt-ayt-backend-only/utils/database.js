@@ -25,6 +25,9 @@ class DatabaseManager {
       // Create tables
       await this.createTables();
 
+      // Bring tables created by older versions up to date
+      this.migrateTables();
+
       console.log('✅ Database initialized successfully');
     } catch (error) {
       console.error('❌ Database initialization failed:', error);
@@ -40,6 +43,9 @@ class DatabaseManager {
         username TEXT UNIQUE NOT NULL,
         email TEXT UNIQUE NOT NULL,
         password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'student', -- 'student', 'teacher', 'admin'
+        plan TEXT NOT NULL DEFAULT 'free', -- LLM token quota tier
+        email_verified_at DATETIME,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         profile_data TEXT DEFAULT '{}'
@@ -61,6 +67,67 @@ class DatabaseManager {
       )
     `);
 
+    // Chat sessions (one row per conversation; messages are in chat_history)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        title TEXT,
+        subject TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_activity_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        archived_at DATETIME,
+        tutor_mode TEXT NOT NULL DEFAULT 'general', -- see utils/tutors.js
+        summary TEXT, -- condensed older turns (see utils/conversation.js)
+        summarized_count INTEGER NOT NULL DEFAULT 0, -- oldest messages covered by summary
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_chat_sessions_user ON chat_sessions (user_id, last_activity_at)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_chat_history_session ON chat_history (session_id, timestamp)`);
+
+    // Images attached to chat messages (files live in CHAT_UPLOADS_PATH, see utils/attachments.js)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS chat_attachments (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        message_id TEXT NOT NULL,
+        file_name TEXT,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        storage_name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_chat_attachments_session ON chat_attachments (session_id)`);
+
+    // Feedback on assistant messages; tutor mode, RAG category and provider
+    // are copied from the message metadata so they can be aggregated
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS message_feedback (
+        id TEXT PRIMARY KEY,
+        message_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        rating TEXT, -- 'up', 'down'
+        reported INTEGER NOT NULL DEFAULT 0, -- reported as incorrect
+        category TEXT,
+        comment TEXT,
+        tutor_mode TEXT,
+        rag_category TEXT,
+        provider TEXT,
+        model TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (message_id, user_id),
+        FOREIGN KEY (message_id) REFERENCES chat_history(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_message_feedback_created ON message_feedback (created_at)`);
+
     // Learning progress table
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS learning_progress (
@@ -153,40 +220,897 @@ class DatabaseManager {
       )
     `);
 
+    // Device sessions (one per signed-in client)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        device_name TEXT,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_active_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Refresh tokens (hashed, rotated on every use)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        session_id TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (session_id) REFERENCES auth_sessions(id) ON DELETE CASCADE
+      )
+    `);
+
+    // One-time tokens (password reset, email verification)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        purpose TEXT NOT NULL, -- 'password_reset', 'email_verification'
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Personal access tokens for integrations (hashed, scoped)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        token_prefix TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        scopes TEXT NOT NULL DEFAULT '[]',
+        expires_at DATETIME NOT NULL,
+        last_used_at DATETIME,
+        last_used_ip TEXT,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Guardian invite codes (generated by students)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS guardian_invites (
+        code TEXT PRIMARY KEY,
+        student_id TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        used_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Guardian relationships (read-only access to a student's progress)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS guardian_links (
+        id TEXT PRIMARY KEY,
+        guardian_id TEXT NOT NULL,
+        student_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (guardian_id, student_id),
+        FOREIGN KEY (guardian_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Teacher classrooms
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS classrooms (
+        id TEXT PRIMARY KEY,
+        teacher_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        join_code TEXT UNIQUE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (teacher_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Classroom rosters
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS classroom_members (
+        classroom_id TEXT NOT NULL,
+        student_id TEXT NOT NULL,
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (classroom_id, student_id),
+        FOREIGN KEY (classroom_id) REFERENCES classrooms(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Security audit trail (kept after account deletion, without the personal data)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id TEXT PRIMARY KEY,
+        event_type TEXT NOT NULL,
+        severity TEXT NOT NULL DEFAULT 'medium', -- 'low', 'medium', 'high'
+        user_id TEXT,
+        ip_address TEXT,
+        user_agent TEXT,
+        details TEXT DEFAULT '{}',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_events_type ON audit_events (event_type, created_at)`);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_audit_events_user ON audit_events (user_id, created_at)`);
+
+    // LLM token usage per provider call (kept when the chat session is deleted,
+    // so deleting a conversation does not reset the user's quota)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        session_id TEXT,
+        message_id TEXT,
+        purpose TEXT NOT NULL DEFAULT 'chat', -- 'chat', 'summary'
+        provider TEXT NOT NULL,
+        model TEXT,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0,
+        estimated INTEGER NOT NULL DEFAULT 0, -- provider reported no usage
+        guest_ip TEXT, -- guest quotas are counted per IP address
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_llm_usage_user ON llm_usage (user_id, created_at)`);
+
+    // Chat messages the moderation pipeline masked, warned about or blocked.
+    // Only the masked text is kept; blocked messages have no message_id.
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS moderation_flags (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        session_id TEXT,
+        message_id TEXT,
+        action TEXT NOT NULL, -- 'redact', 'warn', 'block'
+        categories TEXT NOT NULL DEFAULT '[]', -- matched rule categories
+        redactions TEXT NOT NULL DEFAULT '{}', -- PII type -> count
+        excerpt TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_moderation_flags_action ON moderation_flags (action, created_at)`);
+
     console.log('✅ Database tables created successfully');
   }
 
+  migrateTables() {
+    this.addColumnIfMissing('users', 'role', `TEXT NOT NULL DEFAULT 'student'`);
+    this.addColumnIfMissing('users', 'email_verified_at', 'DATETIME');
+    this.addColumnIfMissing('users', 'plan', `TEXT NOT NULL DEFAULT 'free'`);
+    this.addColumnIfMissing('chat_sessions', 'tutor_mode', `TEXT NOT NULL DEFAULT 'general'`);
+    this.addColumnIfMissing('chat_sessions', 'summary', 'TEXT');
+    this.addColumnIfMissing('chat_sessions', 'summarized_count', 'INTEGER NOT NULL DEFAULT 0');
+    this.addColumnIfMissing('llm_usage', 'guest_ip', 'TEXT');
+    this.db.exec(`CREATE INDEX IF NOT EXISTS idx_llm_usage_guest_ip ON llm_usage (guest_ip, created_at)`);
+
+    // Sessions created before chat_sessions existed, titled by their first question
+    const { changes } = this.db.prepare(`
+      INSERT OR IGNORE INTO chat_sessions (id, user_id, title, created_at, last_activity_at)
+      SELECT h.session_id, h.user_id,
+             (SELECT substr(first.message, 1, 60) FROM chat_history first
+              WHERE first.session_id = h.session_id AND first.is_user = 1
+              ORDER BY first.timestamp ASC LIMIT 1),
+             MIN(h.timestamp), MAX(h.timestamp)
+      FROM chat_history h
+      WHERE NOT EXISTS (SELECT 1 FROM chat_sessions s WHERE s.id = h.session_id)
+      GROUP BY h.session_id
+    `).run();
+    if (changes > 0) {
+      console.log(`✅ Backfilled ${changes} chat sessions`);
+    }
+  }
+
+  addColumnIfMissing(table, column, definition) {
+    const columns = this.db.pragma(`table_info(${table})`);
+    if (!columns.some(col => col.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`✅ Added ${table}.${column} column`);
+    }
+  }
+
   // Generic query methods
-  run(sql, params = {}) {
+  run(sql, params = []) {
     try {
-      return this.db.run(sql, params);
+      return this.db.prepare(sql).run(...bindParams(params));
     } catch (error) {
       console.error('Database run error:', error);
       throw error;
     }
   }
 
-  get(sql, params = {}) {
+  get(sql, params = []) {
     try {
-      return this.db.get(sql, params);
+      return this.db.prepare(sql).get(...bindParams(params));
     } catch (error) {
       console.error('Database get error:', error);
       throw error;
     }
   }
 
-  all(sql, params = {}) {
+  all(sql, params = []) {
     try {
-      return this.db.all(sql, params);
+      return this.db.prepare(sql).all(...bindParams(params));
     } catch (error) {
       console.error('Database all error:', error);
       throw error;
     }
   }
 
-  // Chat history methods
-  saveChatMessage(userId, sessionId, message, isUser, response = null, metadata = {}) {
+  // User methods
+  createUser(username, email, passwordHash, role = 'student', profileData = {}) {
+    const id = require('uuid').v4();
+    this.run(
+      `INSERT INTO users (id, username, email, password_hash, role, profile_data)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, username, email, passwordHash, role, JSON.stringify(profileData)]
+    );
+    return id;
+  }
+
+  getUserById(userId) {
+    return this.get(
+      `SELECT * FROM users WHERE id = ?`,
+      [userId]
+    );
+  }
+
+  getUserByLogin(login) {
+    return this.get(
+      `SELECT * FROM users WHERE email = ? OR username = ?`,
+      [login.toLowerCase(), login]
+    );
+  }
+
+  getUserByEmail(email) {
+    return this.get(
+      `SELECT * FROM users WHERE email = ?`,
+      [email.toLowerCase()]
+    );
+  }
+
+  findExistingUser(username, email) {
+    return this.get(
+      `SELECT id, username, email FROM users WHERE username = ? OR email = ?`,
+      [username, email.toLowerCase()]
+    );
+  }
+
+  listUsers(role = null, limit = 50, offset = 0) {
+    const where = role ? 'WHERE role = ?' : '';
+    const params = role ? [role] : [];
+
+    const total = this.get(`SELECT COUNT(*) as count FROM users ${where}`, params).count;
+
+    const users = this.all(
+      `SELECT id, username, email, role, plan, created_at, updated_at FROM users
+       ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { total, users };
+  }
+
+  updateUserRole(userId, role) {
+    return this.run(
+      `UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [role, userId]
+    );
+  }
+
+  updateUserPlan(userId, plan) {
+    return this.run(
+      `UPDATE users SET plan = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [plan, userId]
+    );
+  }
+
+  updateUserProfile(userId, profileData) {
+    return this.run(
+      `UPDATE users SET profile_data = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [JSON.stringify(profileData), userId]
+    );
+  }
+
+  updatePassword(userId, passwordHash) {
+    return this.run(
+      `UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [passwordHash, userId]
+    );
+  }
+
+  markEmailVerified(userId) {
+    return this.run(
+      `UPDATE users SET email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND email_verified_at IS NULL`,
+      [userId]
+    );
+  }
+
+  // Everything stored about a user, for data-subject access requests
+  // (password and token hashes are never exported)
+  getUserDataExport(userId) {
+    // Table -> column to order by
+    const ownedTables = {
+      chat_sessions: 'created_at',
+      chat_history: 'timestamp',
+      learning_progress: 'timestamp',
+      python_executions: 'timestamp',
+      study_sessions: 'timestamp',
+      chat_attachments: 'created_at',
+      message_feedback: 'created_at',
+      achievements: 'earned_at',
+      llm_usage: 'created_at',
+      moderation_flags: 'created_at'
+    };
+
+    const data = {};
+    for (const [table, orderColumn] of Object.entries(ownedTables)) {
+      data[table] = this.all(
+        `SELECT * FROM ${table} WHERE user_id = ? ORDER BY ${orderColumn} ASC`,
+        [userId]
+      );
+    }
+
+    data.devices = this.all(
+      `SELECT id, device_name, user_agent, ip_address, created_at, last_active_at, revoked_at
+       FROM auth_sessions WHERE user_id = ? ORDER BY created_at ASC`,
+      [userId]
+    );
+    data.api_tokens = this.all(
+      `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, revoked_at, created_at
+       FROM api_tokens WHERE user_id = ? ORDER BY created_at ASC`,
+      [userId]
+    );
+    data.guardian_links = this.all(
+      `SELECT * FROM guardian_links WHERE guardian_id = ? OR student_id = ?`,
+      [userId, userId]
+    );
+    data.classrooms_taught = this.all(
+      `SELECT * FROM classrooms WHERE teacher_id = ?`,
+      [userId]
+    );
+    data.classroom_memberships = this.all(
+      `SELECT * FROM classroom_members WHERE student_id = ?`,
+      [userId]
+    );
+
+    return data;
+  }
+
+  // IP addresses the user signed in or used the API from, for log redaction
+  getUserIpAddresses(userId) {
+    return this.all(
+      `SELECT ip_address AS ip FROM auth_sessions WHERE user_id = ?
+       UNION SELECT last_used_ip FROM api_tokens WHERE user_id = ?
+       UNION SELECT ip_address FROM audit_events WHERE user_id = ?`,
+      [userId, userId, userId]
+    ).map(row => row.ip).filter(Boolean);
+  }
+
+  // Owned rows go with the user through ON DELETE CASCADE. The user's audit
+  // events stay (event type, severity and time) without who/where/details,
+  // and other events no longer name them.
+  deleteUser(userId) {
+    const remove = this.db.transaction(() => {
+      this.run(`UPDATE guardian_invites SET used_by = NULL WHERE used_by = ?`, [userId]);
+      this.run(
+        `UPDATE audit_events SET user_id = NULL, ip_address = NULL, user_agent = NULL, details = '{}'
+         WHERE user_id = ?`,
+        [userId]
+      );
+      this.run(
+        `UPDATE audit_events SET details = replace(details, ?, '[deleted-user]')
+         WHERE instr(details, ?) > 0`,
+        [userId, userId]
+      );
+      return this.run(`DELETE FROM users WHERE id = ?`, [userId]).changes;
+    });
+
+    return remove() === 1;
+  }
+
+  // Guest users get a placeholder row so their activity satisfies foreign keys
+  ensureGuestUser(guestId) {
+    this.run(
+      `INSERT OR IGNORE INTO users (id, username, email, password_hash, profile_data)
+       VALUES (?, ?, ?, '', ?)`,
+      [guestId, guestId, `${guestId}@guest.local`, JSON.stringify({ guest: true })]
+    );
+  }
+
+  // Move all of a guest's activity to a registered account, then drop the guest row
+  mergeGuestIntoUser(guestId, userId) {
+    const merge = this.db.transaction(() => {
+      const moved = {};
+
+      for (const table of ['chat_sessions', 'chat_history', 'chat_attachments', 'message_feedback', 'learning_progress', 'python_executions', 'study_sessions', 'llm_usage', 'moderation_flags']) {
+        moved[table] = this.run(
+          `UPDATE ${table} SET user_id = ? WHERE user_id = ?`,
+          [userId, guestId]
+        ).changes;
+      }
+
+      // The account's own quota applies from now on
+      this.run(`UPDATE llm_usage SET guest_ip = NULL WHERE user_id = ?`, [userId]);
+
+      // Skip achievements the account already has, and keep only the earliest
+      // copy of any achievement the guest earned more than once
+      const skipped = this.run(
+        `DELETE FROM achievements
+         WHERE user_id = ? AND (
+           EXISTS (
+             SELECT 1 FROM achievements owned
+             WHERE owned.user_id = ?
+               AND owned.achievement_type = achievements.achievement_type
+               AND owned.achievement_name = achievements.achievement_name
+           )
+           OR EXISTS (
+             SELECT 1 FROM achievements earlier
+             WHERE earlier.user_id = achievements.user_id
+               AND earlier.achievement_type = achievements.achievement_type
+               AND earlier.achievement_name = achievements.achievement_name
+               AND (earlier.earned_at < achievements.earned_at
+                 OR (earlier.earned_at = achievements.earned_at AND earlier.id < achievements.id))
+           )
+         )`,
+        [guestId, userId]
+      ).changes;
+
+      moved.achievements = this.run(
+        `UPDATE achievements SET user_id = ? WHERE user_id = ?`,
+        [userId, guestId]
+      ).changes;
+
+      this.run(`DELETE FROM users WHERE id = ?`, [guestId]);
+
+      return { moved, duplicateAchievementsSkipped: skipped };
+    });
+
+    return merge();
+  }
+
+  // Auth session methods
+  createAuthSession(userId, deviceName = null, userAgent = null, ipAddress = null) {
+    const id = require('uuid').v4();
+    this.run(
+      `INSERT INTO auth_sessions (id, user_id, device_name, user_agent, ip_address)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id, userId, deviceName, userAgent, ipAddress]
+    );
+    return id;
+  }
+
+  isAuthSessionActive(sessionId) {
+    return !!this.get(
+      `SELECT id FROM auth_sessions WHERE id = ? AND revoked_at IS NULL`,
+      [sessionId]
+    );
+  }
+
+  touchAuthSession(sessionId) {
+    this.run(
+      `UPDATE auth_sessions SET last_active_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [sessionId]
+    );
+  }
+
+  getUserAuthSessions(userId) {
+    return this.all(
+      `SELECT s.* FROM auth_sessions s
+       WHERE s.user_id = ? AND s.revoked_at IS NULL
+         AND EXISTS (
+           SELECT 1 FROM refresh_tokens t
+           WHERE t.session_id = s.id AND t.used_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP
+         )
+       ORDER BY s.last_active_at DESC`,
+      [userId]
+    );
+  }
+
+  revokeAuthSession(userId, sessionId) {
+    return this.run(
+      `UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+      [sessionId, userId]
+    ).changes;
+  }
+
+  revokeOtherAuthSessions(userId, currentSessionId) {
+    return this.run(
+      `UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND id != ? AND revoked_at IS NULL`,
+      [userId, currentSessionId]
+    ).changes;
+  }
+
+  // Refresh token methods
+  saveRefreshToken(userId, sessionId, tokenHash, ttlDays) {
+    const id = require('uuid').v4();
+    this.run(
+      `INSERT INTO refresh_tokens (id, user_id, session_id, token_hash, expires_at)
+       VALUES (?, ?, ?, ?, datetime('now', ?))`,
+      [id, userId, sessionId, tokenHash, `+${ttlDays} days`]
+    );
+    return id;
+  }
+
+  getRefreshToken(tokenHash) {
+    return this.get(
+      `SELECT t.*, s.revoked_at AS session_revoked_at,
+              t.expires_at <= CURRENT_TIMESTAMP AS expired
+       FROM refresh_tokens t
+       JOIN auth_sessions s ON s.id = t.session_id
+       WHERE t.token_hash = ?`,
+      [tokenHash]
+    );
+  }
+
+  // Returns false if the token was already used (rotation race or replay)
+  markRefreshTokenUsed(tokenId) {
+    return this.run(
+      `UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL`,
+      [tokenId]
+    ).changes === 1;
+  }
+
+  // One-time token methods
+  saveUserToken(userId, purpose, tokenHash, ttlMinutes) {
+    const id = require('uuid').v4();
+
+    // Only the most recently issued token for a purpose stays usable
+    this.run(
+      `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+      [userId, purpose]
+    );
+    this.run(
+      `INSERT INTO user_tokens (id, user_id, purpose, token_hash, expires_at)
+       VALUES (?, ?, ?, ?, datetime('now', ?))`,
+      [id, userId, purpose, tokenHash, `+${ttlMinutes} minutes`]
+    );
+    return id;
+  }
+
+  // Marks the token used and returns its row, or null if invalid/expired/used
+  consumeUserToken(tokenHash, purpose) {
+    const token = this.get(
+      `SELECT * FROM user_tokens
+       WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [tokenHash, purpose]
+    );
+    if (!token) return null;
+
+    const { changes } = this.run(
+      `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL`,
+      [token.id]
+    );
+    return changes === 1 ? token : null;
+  }
+
+  revokeAllAuthSessions(userId) {
+    return this.run(
+      `UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND revoked_at IS NULL`,
+      [userId]
+    ).changes;
+  }
+
+  // Personal access token methods
+  createApiToken(userId, name, tokenPrefix, tokenHash, scopes, ttlDays) {
+    const id = require('uuid').v4();
+    this.run(
+      `INSERT INTO api_tokens (id, user_id, name, token_prefix, token_hash, scopes, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, datetime('now', ?))`,
+      [id, userId, name, tokenPrefix, tokenHash, JSON.stringify(scopes), `+${ttlDays} days`]
+    );
+    return id;
+  }
+
+  getApiToken(userId, tokenId) {
+    return this.get(`SELECT * FROM api_tokens WHERE id = ? AND user_id = ?`, [tokenId, userId]);
+  }
+
+  // Returns the token row, or null if unknown, expired or revoked
+  getActiveApiTokenByHash(tokenHash) {
+    return this.get(
+      `SELECT * FROM api_tokens
+       WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [tokenHash]
+    );
+  }
+
+  getUserApiTokens(userId) {
+    return this.all(
+      `SELECT * FROM api_tokens
+       WHERE user_id = ? AND revoked_at IS NULL
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+  }
+
+  // Throttled to one write per minute per token
+  touchApiToken(tokenId, ipAddress) {
+    this.run(
+      `UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?
+       WHERE id = ? AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute'))`,
+      [ipAddress, tokenId]
+    );
+  }
+
+  revokeApiToken(userId, tokenId) {
+    return this.run(
+      `UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+      [tokenId, userId]
+    ).changes;
+  }
+
+  revokeAllApiTokens(userId) {
+    return this.run(
+      `UPDATE api_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND revoked_at IS NULL`,
+      [userId]
+    ).changes;
+  }
+
+  // Guardian methods
+  createGuardianInvite(studentId, code, ttlHours) {
+    this.run(
+      `INSERT INTO guardian_invites (code, student_id, expires_at)
+       VALUES (?, ?, datetime('now', ?))`,
+      [code, studentId, `+${ttlHours} hours`]
+    );
+    return code;
+  }
+
+  // Marks the invite used and returns its row, or null if invalid/expired/used
+  // (students cannot redeem their own invites)
+  redeemGuardianInvite(code, guardianId) {
+    const invite = this.get(
+      `SELECT * FROM guardian_invites
+       WHERE code = ? AND student_id != ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [code, guardianId]
+    );
+    if (!invite) return null;
+
+    const { changes } = this.run(
+      `UPDATE guardian_invites SET used_at = CURRENT_TIMESTAMP, used_by = ?
+       WHERE code = ? AND used_at IS NULL`,
+      [guardianId, code]
+    );
+    return changes === 1 ? invite : null;
+  }
+
+  createGuardianLink(guardianId, studentId) {
     const id = require('uuid').v4();
+    this.run(
+      `INSERT OR IGNORE INTO guardian_links (id, guardian_id, student_id) VALUES (?, ?, ?)`,
+      [id, guardianId, studentId]
+    );
+    return id;
+  }
+
+  isGuardianOf(guardianId, studentId) {
+    return !!this.get(
+      `SELECT id FROM guardian_links WHERE guardian_id = ? AND student_id = ?`,
+      [guardianId, studentId]
+    );
+  }
+
+  getGuardianStudents(guardianId) {
+    return this.all(
+      `SELECT u.id, u.username, l.created_at AS linked_at
+       FROM guardian_links l JOIN users u ON u.id = l.student_id
+       WHERE l.guardian_id = ? ORDER BY l.created_at DESC`,
+      [guardianId]
+    );
+  }
+
+  getStudentGuardians(studentId) {
+    return this.all(
+      `SELECT u.id, u.username, l.created_at AS linked_at
+       FROM guardian_links l JOIN users u ON u.id = l.guardian_id
+       WHERE l.student_id = ? ORDER BY l.created_at DESC`,
+      [studentId]
+    );
+  }
+
+  deleteGuardianLink(guardianId, studentId) {
+    return this.run(
+      `DELETE FROM guardian_links WHERE guardian_id = ? AND student_id = ?`,
+      [guardianId, studentId]
+    ).changes;
+  }
+
+  // Classroom methods
+  createClassroom(teacherId, name, description, joinCode) {
+    const id = require('uuid').v4();
+    this.run(
+      `INSERT INTO classrooms (id, teacher_id, name, description, join_code)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id, teacherId, name, description, joinCode]
+    );
+    return id;
+  }
+
+  getClassroom(classroomId) {
+    return this.get(
+      `SELECT c.*, (SELECT COUNT(*) FROM classroom_members m WHERE m.classroom_id = c.id) AS student_count
+       FROM classrooms c WHERE c.id = ?`,
+      [classroomId]
+    );
+  }
+
+  getClassroomByJoinCode(joinCode) {
+    return this.get(
+      `SELECT * FROM classrooms WHERE join_code = ?`,
+      [joinCode]
+    );
+  }
+
+  // Classrooms a user teaches or belongs to
+  getUserClassrooms(userId) {
+    return this.all(
+      `SELECT c.*, (SELECT COUNT(*) FROM classroom_members m WHERE m.classroom_id = c.id) AS student_count,
+              CASE WHEN c.teacher_id = ? THEN 'teacher' ELSE 'student' END AS membership
+       FROM classrooms c
+       WHERE c.teacher_id = ?
+          OR c.id IN (SELECT classroom_id FROM classroom_members WHERE student_id = ?)
+       ORDER BY c.created_at DESC`,
+      [userId, userId, userId]
+    );
+  }
+
+  updateClassroom(classroomId, fields) {
+    const { name, description, joinCode } = fields;
+    return this.run(
+      `UPDATE classrooms SET
+         name = COALESCE(?, name),
+         description = COALESCE(?, description),
+         join_code = COALESCE(?, join_code),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [name ?? null, description ?? null, joinCode ?? null, classroomId]
+    );
+  }
+
+  deleteClassroom(classroomId) {
+    return this.run(`DELETE FROM classrooms WHERE id = ?`, [classroomId]).changes;
+  }
+
+  addClassroomMember(classroomId, studentId) {
+    return this.run(
+      `INSERT OR IGNORE INTO classroom_members (classroom_id, student_id) VALUES (?, ?)`,
+      [classroomId, studentId]
+    ).changes;
+  }
+
+  removeClassroomMember(classroomId, studentId) {
+    return this.run(
+      `DELETE FROM classroom_members WHERE classroom_id = ? AND student_id = ?`,
+      [classroomId, studentId]
+    ).changes;
+  }
+
+  isClassroomMember(classroomId, studentId) {
+    return !!this.get(
+      `SELECT 1 AS member FROM classroom_members WHERE classroom_id = ? AND student_id = ?`,
+      [classroomId, studentId]
+    );
+  }
+
+  getClassroomRoster(classroomId) {
+    return this.all(
+      `SELECT u.id, u.username, u.email, m.joined_at
+       FROM classroom_members m JOIN users u ON u.id = m.student_id
+       WHERE m.classroom_id = ? ORDER BY u.username`,
+      [classroomId]
+    );
+  }
+
+  // Classroom analytics (rows across the whole roster since a given date)
+  getClassroomStudySessions(classroomId, since) {
+    return this.all(
+      `SELECT s.* FROM study_sessions s
+       JOIN classroom_members m ON m.student_id = s.user_id
+       WHERE m.classroom_id = ? AND s.timestamp >= datetime(?)
+       ORDER BY s.timestamp DESC`,
+      [classroomId, since]
+    );
+  }
+
+  getClassroomProgress(classroomId, since) {
+    return this.all(
+      `SELECT p.* FROM learning_progress p
+       JOIN classroom_members m ON m.student_id = p.user_id
+       WHERE m.classroom_id = ? AND p.timestamp >= datetime(?)
+       ORDER BY p.timestamp DESC`,
+      [classroomId, since]
+    );
+  }
+
+  getClassroomExecutionStats(classroomId, since) {
+    return this.all(
+      `SELECT e.user_id, COUNT(*) AS total, SUM(e.success) AS successful,
+              AVG(e.execution_time) AS avg_execution_time, MAX(e.timestamp) AS last_execution
+       FROM python_executions e
+       JOIN classroom_members m ON m.student_id = e.user_id
+       WHERE m.classroom_id = ? AND e.timestamp >= datetime(?)
+       GROUP BY e.user_id`,
+      [classroomId, since]
+    );
+  }
+
+  // Audit methods
+  saveAuditEvent(eventType, severity, userId = null, ipAddress = null, userAgent = null, details = {}) {
+    const id = require('uuid').v4();
+    this.run(
+      `INSERT INTO audit_events (id, event_type, severity, user_id, ip_address, user_agent, details)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, eventType, severity, userId, ipAddress, userAgent, JSON.stringify(details)]
+    );
+    return id;
+  }
+
+  getAuditEvents(filters = {}) {
+    const { userId, eventType, severity, from, to, limit = 50, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (userId) {
+      conditions.push('user_id = ?');
+      params.push(userId);
+    }
+    if (eventType) {
+      conditions.push('event_type = ?');
+      params.push(eventType);
+    }
+    if (severity) {
+      conditions.push('severity = ?');
+      params.push(severity);
+    }
+    if (from) {
+      conditions.push('created_at >= datetime(?)');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= datetime(?)');
+      params.push(to);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = this.get(`SELECT COUNT(*) as count FROM audit_events ${where}`, params).count;
+    const events = this.all(
+      `SELECT * FROM audit_events ${where} ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { total, events };
+  }
+
+  // Chat history methods
+  saveChatMessage(userId, sessionId, message, isUser, response = null, metadata = {}, id = require('uuid').v4()) {
     this.run(
       `INSERT INTO chat_history (id, user_id, session_id, message, is_user, response, metadata) 
        VALUES (?, ?, ?, ?, ?, ?, ?)`,
@@ -199,11 +1123,377 @@ class DatabaseManager {
     return this.all(
       `SELECT * FROM chat_history 
        WHERE user_id = ? AND session_id = ? 
-       ORDER BY timestamp DESC LIMIT ?`,
+       ORDER BY timestamp DESC, rowid DESC LIMIT ?`,
       [userId, sessionId, limit]
     );
   }
 
+  // Chat session methods
+  createChatSession(sessionId, userId, title = null, subject = null, tutorMode = 'general') {
+    this.run(
+      `INSERT INTO chat_sessions (id, user_id, title, subject, tutor_mode) VALUES (?, ?, ?, ?, ?)`,
+      [sessionId, userId, title, subject, tutorMode]
+    );
+    return sessionId;
+  }
+
+  // Not filtered by user, so callers can tell "not yours" from "not found"
+  getChatSession(sessionId) {
+    return this.get(
+      `SELECT s.*, (SELECT COUNT(*) FROM chat_history h WHERE h.session_id = s.id) AS message_count
+       FROM chat_sessions s WHERE s.id = ?`,
+      [sessionId]
+    );
+  }
+
+  // archived: false (active only), true (archived only) or null (both)
+  getUserChatSessions(userId, { archived = false, limit = 20, offset = 0 } = {}) {
+    const archivedFilter = archived === null
+      ? ''
+      : `AND archived_at IS ${archived ? 'NOT NULL' : 'NULL'}`;
+
+    const total = this.get(
+      `SELECT COUNT(*) as count FROM chat_sessions WHERE user_id = ? ${archivedFilter}`,
+      [userId]
+    ).count;
+
+    const sessions = this.all(
+      `SELECT s.*, (SELECT COUNT(*) FROM chat_history h WHERE h.session_id = s.id) AS message_count
+       FROM chat_sessions s
+       WHERE s.user_id = ? ${archivedFilter}
+       ORDER BY s.last_activity_at DESC, s.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [userId, limit, offset]
+    );
+
+    return { total, sessions };
+  }
+
+  updateChatSession(sessionId, { title, subject, tutorMode, archived } = {}) {
+    const updates = [];
+    const params = [];
+
+    if (title !== undefined) {
+      updates.push('title = ?');
+      params.push(title);
+    }
+    if (subject !== undefined) {
+      updates.push('subject = ?');
+      params.push(subject);
+    }
+    if (tutorMode !== undefined) {
+      updates.push('tutor_mode = ?');
+      params.push(tutorMode);
+    }
+    if (archived !== undefined) {
+      updates.push(`archived_at = ${archived ? 'COALESCE(archived_at, CURRENT_TIMESTAMP)' : 'NULL'}`);
+    }
+    if (updates.length === 0) return 0;
+
+    return this.run(
+      `UPDATE chat_sessions SET ${updates.join(', ')} WHERE id = ?`,
+      [...params, sessionId]
+    ).changes;
+  }
+
+  updateChatSessionSummary(sessionId, summary, summarizedCount) {
+    this.run(
+      `UPDATE chat_sessions SET summary = ?, summarized_count = ? WHERE id = ?`,
+      [summary, summarizedCount, sessionId]
+    );
+  }
+
+  touchChatSession(sessionId) {
+    this.run(
+      `UPDATE chat_sessions SET last_activity_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [sessionId]
+    );
+  }
+
+  // Removes the session and all of its messages
+  deleteChatSession(userId, sessionId) {
+    const remove = this.db.transaction(() => {
+      this.run(`DELETE FROM chat_attachments WHERE session_id = ? AND user_id = ?`, [sessionId, userId]);
+      this.run(`DELETE FROM chat_history WHERE session_id = ? AND user_id = ?`, [sessionId, userId]);
+      return this.run(`DELETE FROM chat_sessions WHERE id = ? AND user_id = ?`, [sessionId, userId]).changes;
+    });
+
+    return remove();
+  }
+
+  // Messages of a session in conversation order, skipping the first `offset`
+  getChatMessages(sessionId, offset = 0) {
+    return this.all(
+      `SELECT * FROM chat_history
+       WHERE session_id = ?
+       ORDER BY timestamp ASC, rowid ASC
+       LIMIT -1 OFFSET ?`,
+      [sessionId, offset]
+    );
+  }
+
+  createChatAttachment(id, userId, sessionId, messageId, { fileName, mimeType, size, storageName }) {
+    this.run(
+      `INSERT INTO chat_attachments (id, user_id, session_id, message_id, file_name, mime_type, size, storage_name)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, sessionId, messageId, fileName, mimeType, size, storageName]
+    );
+    return id;
+  }
+
+  getChatAttachment(attachmentId) {
+    return this.get(`SELECT * FROM chat_attachments WHERE id = ?`, [attachmentId]);
+  }
+
+  getSessionChatAttachments(sessionId) {
+    return this.all(
+      `SELECT * FROM chat_attachments WHERE session_id = ? ORDER BY created_at ASC, rowid ASC`,
+      [sessionId]
+    );
+  }
+
+  getUserChatAttachments(userId) {
+    return this.all(`SELECT * FROM chat_attachments WHERE user_id = ?`, [userId]);
+  }
+
+  getChatMessage(messageId) {
+    return this.get(`SELECT * FROM chat_history WHERE id = ?`, [messageId]);
+  }
+
+  // Feedback methods
+  saveMessageFeedback(messageId, userId, sessionId, { rating, reported, category, comment, tutorMode, ragCategory, provider, model }) {
+    const id = require('uuid').v4();
+    this.run(
+      `INSERT INTO message_feedback (id, message_id, user_id, session_id, rating, reported, category, comment,
+                                     tutor_mode, rag_category, provider, model)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (message_id, user_id) DO UPDATE SET
+         rating = excluded.rating,
+         reported = excluded.reported,
+         category = excluded.category,
+         comment = excluded.comment,
+         updated_at = CURRENT_TIMESTAMP`,
+      [id, messageId, userId, sessionId, rating, reported ? 1 : 0, category, comment,
+        tutorMode, ragCategory, provider, model]
+    );
+    return this.getMessageFeedback(messageId, userId);
+  }
+
+  getMessageFeedback(messageId, userId) {
+    return this.get(
+      `SELECT * FROM message_feedback WHERE message_id = ? AND user_id = ?`,
+      [messageId, userId]
+    );
+  }
+
+  getSessionMessageFeedback(sessionId, userId) {
+    return this.all(
+      `SELECT * FROM message_feedback WHERE session_id = ? AND user_id = ?`,
+      [sessionId, userId]
+    );
+  }
+
+  deleteMessageFeedback(messageId, userId) {
+    return this.run(
+      `DELETE FROM message_feedback WHERE message_id = ? AND user_id = ?`,
+      [messageId, userId]
+    ).changes > 0;
+  }
+
+  // Rating and report counts grouped by tutor_mode, rag_category or provider
+  getFeedbackSummary(groupBy, { from = null, to = null } = {}) {
+    const column = { tutorMode: 'tutor_mode', ragCategory: 'rag_category', provider: 'provider' }[groupBy];
+    if (!column) throw new Error(`Cannot group feedback by ${groupBy}`);
+
+    return this.all(
+      `SELECT ${column} AS name,
+              COUNT(*) AS total,
+              SUM(rating = 'up') AS up,
+              SUM(rating = 'down') AS down,
+              SUM(reported) AS reported,
+              SUM(rating = 'down' OR reported = 1) AS negative
+       FROM message_feedback
+       WHERE (? IS NULL OR created_at >= datetime(?)) AND (? IS NULL OR created_at <= datetime(?))
+       GROUP BY ${column}
+       ORDER BY negative * 1.0 / total DESC, total DESC`,
+      [from, from, to, to]
+    );
+  }
+
+  // Negative feedback with the message it is about, newest first
+  getNegativeFeedback({ tutorMode = null, ragCategory = null, provider = null, reportedOnly = false, from = null, to = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [`(f.rating = 'down' OR f.reported = 1)`];
+    const params = [];
+
+    for (const [column, value] of [['f.tutor_mode', tutorMode], ['f.rag_category', ragCategory], ['f.provider', provider]]) {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (reportedOnly) conditions.push('f.reported = 1');
+    if (from) {
+      conditions.push('f.created_at >= datetime(?)');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('f.created_at <= datetime(?)');
+      params.push(to);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const { total } = this.get(`SELECT COUNT(*) AS total FROM message_feedback f ${where}`, params);
+    const feedback = this.all(
+      `SELECT f.*, h.message AS answer,
+              (SELECT q.message FROM chat_history q
+               WHERE q.session_id = h.session_id AND q.is_user = 1
+                 AND (q.timestamp < h.timestamp OR (q.timestamp = h.timestamp AND q.rowid < h.rowid))
+               ORDER BY q.timestamp DESC, q.rowid DESC LIMIT 1) AS question
+       FROM message_feedback f
+       JOIN chat_history h ON h.id = f.message_id
+       ${where}
+       ORDER BY f.updated_at DESC, f.rowid DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { total, feedback };
+  }
+
+  // LLM usage methods
+  saveLLMUsage(userId, { sessionId = null, messageId = null, purpose = 'chat', provider, model = null, usage, estimated = false, guestIp = null }) {
+    const id = require('uuid').v4();
+    this.run(
+      `INSERT INTO llm_usage (id, user_id, session_id, message_id, purpose, provider, model,
+                              prompt_tokens, completion_tokens, total_tokens, estimated, guest_ip)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, sessionId, messageId, purpose, provider, model,
+        usage.promptTokens, usage.completionTokens, usage.totalTokens, estimated ? 1 : 0, guestIp]
+    );
+    return id;
+  }
+
+  // Total tokens used since `since` (a 'YYYY-MM-DD HH:MM:SS' UTC timestamp)
+  getLLMTokensUsed(userId, since) {
+    return this.get(
+      `SELECT COALESCE(SUM(total_tokens), 0) AS total FROM llm_usage
+       WHERE user_id = ? AND created_at >= ?`,
+      [userId, since]
+    ).total;
+  }
+
+  // Tokens all guests from one IP address used since `since`
+  getGuestLLMTokensUsed(guestIp, since) {
+    return this.get(
+      `SELECT COALESCE(SUM(total_tokens), 0) AS total FROM llm_usage
+       WHERE guest_ip = ? AND user_id LIKE 'guest-%' AND created_at >= ?`,
+      [guestIp, since]
+    ).total;
+  }
+
+  getLLMUsageByProvider(userId, since) {
+    return this.all(
+      `SELECT provider, model,
+              COUNT(*) AS calls,
+              SUM(prompt_tokens) AS prompt_tokens,
+              SUM(completion_tokens) AS completion_tokens,
+              SUM(total_tokens) AS total_tokens
+       FROM llm_usage
+       WHERE user_id = ? AND created_at >= ?
+       GROUP BY provider, model
+       ORDER BY total_tokens DESC`,
+      [userId, since]
+    );
+  }
+
+  // Moderation methods
+  saveModerationFlag(userId, { sessionId = null, messageId = null, action, categories = [], redactions = {}, excerpt = null }) {
+    const id = require('uuid').v4();
+    this.run(
+      `INSERT INTO moderation_flags (id, user_id, session_id, message_id, action, categories, redactions, excerpt)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, sessionId, messageId, action, JSON.stringify(categories), JSON.stringify(redactions), excerpt]
+    );
+    return id;
+  }
+
+  getModerationFlags({ action = null, category = null, userId = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (category) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(categories) WHERE value = ?)');
+      params.push(category);
+    }
+    if (userId) {
+      conditions.push('user_id = ?');
+      params.push(userId);
+    }
+    if (from) {
+      conditions.push('created_at >= datetime(?)');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= datetime(?)');
+      params.push(to);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const { total } = this.get(`SELECT COUNT(*) AS total FROM moderation_flags ${where}`, params);
+    const flags = this.all(
+      `SELECT * FROM moderation_flags ${where}
+       ORDER BY created_at DESC, rowid DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return { total, flags };
+  }
+
+  // Flag counts per action and rule category, and masked PII per type
+  getModerationSummary({ from = null, to = null } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (from) {
+      conditions.push('created_at >= datetime(?)');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('created_at <= datetime(?)');
+      params.push(to);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    return {
+      byAction: this.all(
+        `SELECT action, COUNT(*) AS total FROM moderation_flags ${where} GROUP BY action ORDER BY total DESC`,
+        params
+      ),
+      byCategory: this.all(
+        `SELECT category.value AS category, COUNT(*) AS total
+         FROM moderation_flags, json_each(moderation_flags.categories) AS category
+         ${where}
+         GROUP BY category.value
+         ORDER BY total DESC`,
+        params
+      ),
+      byRedaction: this.all(
+        `SELECT pii.key AS type, SUM(pii.value) AS total
+         FROM moderation_flags, json_each(moderation_flags.redactions) AS pii
+         ${where}
+         GROUP BY pii.key
+         ORDER BY total DESC`,
+        params
+      )
+    };
+  }
+
   // Learning progress methods
   updateProgress(userId, subject, lessonId, progressValue, completed = false, metadata = {}) {
     const id = require('uuid').v4();
@@ -299,6 +1589,25 @@ class DatabaseManager {
     );
   }
 
+  // Cached videos matching any of the query's words, best matches first
+  searchYouTubeVideos(query, limit = 5) {
+    const terms = query.toLowerCase().split(/\s+/).filter(term => term.length >= 3).slice(0, 5);
+    if (terms.length === 0) return [];
+
+    const patterns = terms.map(term => `%${term.replace(/[%_\\]/g, '\\$&')}%`);
+    const matches = terms.map(() => `(lower(title) LIKE ? ESCAPE '\\') + (lower(description) LIKE ? ESCAPE '\\')`);
+
+    return this.all(
+      `SELECT * FROM (
+         SELECT *, ${matches.join(' + ')} AS matches FROM youtube_videos
+       )
+       WHERE matches > 0
+       ORDER BY matches DESC, view_count DESC
+       LIMIT ?`,
+      [...patterns.flatMap(pattern => [pattern, pattern]), limit]
+    );
+  }
+
   // Achievement methods
   saveAchievement(userId, achievementType, achievementName, description, metadata = {}) {
     const id = require('uuid').v4();
@@ -366,4 +1675,13 @@ class DatabaseManager {
   }
 }
 
+// better-sqlite3 takes positional parameters as arguments (named ones as a
+// single object) and refuses booleans, so store those as 0/1
+function bindParams(params) {
+  if (!Array.isArray(params)) {
+    return Object.keys(params).length > 0 ? [params] : [];
+  }
+  return params.map(value => typeof value === 'boolean' ? Number(value) : value);
+}
+
 module.exports = new DatabaseManager();
\ No newline at end of file
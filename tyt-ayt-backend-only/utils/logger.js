@@ -1,6 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs-extra');
+const Database = require('./database');
 
 class Logger {
   constructor() {
@@ -195,18 +196,35 @@ class Logger {
     });
   }
 
-  // Security event logging
-  logSecurityEvent(event, details = {}) {
+  // Security event logging (also persisted to the audit_events table)
+  logSecurityEvent(event, details = {}, severity = 'medium') {
+    const { userId = null, ip = null, userAgent = null, ...rest } = details;
+
+    try {
+      Database.saveAuditEvent(event, severity, userId, ip, userAgent, rest);
+    } catch (error) {
+      console.error('Failed to persist security event:', error.message);
+    }
+
     if (!this.logger) return;
 
     this.logger.warn('Security event', {
       event,
       details,
       timestamp: new Date().toISOString(),
-      severity: 'medium'
+      severity
     });
   }
 
+  // Who/where a request came from, for security events
+  getRequestContext(req) {
+    return {
+      userId: req.user?.id || null,
+      ip: req.ip || null,
+      userAgent: req.get('User-Agent') || null
+    };
+  }
+
   // User activity logging
   logUserActivity(userId, activity, metadata = {}) {
     if (!this.logger) return;
@@ -287,6 +305,39 @@ class Logger {
     }
   }
 
+  // Redact a deleted user's ID, email, username and IP addresses from all
+  // log files. Usernames only as whole JSON values ("ali"), so words that
+  // contain them are left alone.
+  async purgeUserReferences({ userId, username = null, email = null, ipAddresses = [] }) {
+    const logsDir = path.join(__dirname, '../../logs');
+    if (!await fs.pathExists(logsDir)) return 0;
+
+    const replacements = [
+      [new RegExp(escapeRegExp(userId), 'g'), '[deleted-user]'],
+      ...(email ? [[new RegExp(escapeRegExp(email), 'gi'), '[deleted-email]']] : []),
+      ...(username ? [[new RegExp(`"${escapeRegExp(username)}"`, 'g'), '"[deleted-username]"']] : []),
+      ...ipAddresses.map(ip => [new RegExp(`(?<![\\w.:])${escapeRegExp(ip)}(?![\\w.:])`, 'g'), '[deleted-ip]'])
+    ];
+
+    const files = await fs.readdir(logsDir);
+    let purgedFiles = 0;
+
+    for (const file of files) {
+      if (file.endsWith('.log')) {
+        const filePath = path.join(logsDir, file);
+        const content = await fs.readFile(filePath, 'utf-8');
+        const redacted = replacements.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), content);
+
+        if (redacted !== content) {
+          await fs.writeFile(filePath, redacted);
+          purgedFiles++;
+        }
+      }
+    }
+
+    return purgedFiles;
+  }
+
   // Get log statistics
   async getLogStats() {
     try {
@@ -334,4 +385,8 @@ class Logger {
   }
 }
 
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 module.exports = new Logger();
\ No newline at end of file
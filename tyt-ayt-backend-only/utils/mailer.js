@@ -0,0 +1,95 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+// Writes each message as a JSON file (works offline and in tests)
+class OutboxTransport {
+  constructor(outboxDir) {
+    this.name = 'outbox';
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    await fs.ensureDir(this.outboxDir);
+
+    const id = uuidv4();
+    const filePath = path.join(this.outboxDir, `${Date.now()}-${id}.json`);
+    await fs.writeJSON(filePath, { id, ...message, createdAt: new Date().toISOString() }, { spaces: 2 });
+
+    return { id, filePath };
+  }
+}
+
+// Sends through an SMTP server via nodemailer
+class SmtpTransport {
+  constructor(options) {
+    this.name = 'smtp';
+    this.transporter = require('nodemailer').createTransport(options);
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+function formatDuration(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60} saat` : `${minutes} dakika`;
+}
+
+class Mailer {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'TYT-AYT Ultra <no-reply@tyt-ayt.local>';
+    this.appUrl = process.env.APP_URL || 'http://localhost:5173';
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = process.env.MAIL_TRANSPORT === 'smtp'
+        ? new SmtpTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        })
+        : new OutboxTransport(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox'));
+    }
+    return this.transport;
+  }
+
+  // Swap the transport (any object with an async send(message) method)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text, html }) {
+    return this.getTransport().send({ from: this.from, to, subject, text, html });
+  }
+
+  async sendPasswordReset(user, token, ttlMinutes) {
+    const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Şifre sıfırlama isteği',
+      text: `Merhaba ${user.username},\n\nŞifreni sıfırlamak için bu bağlantıyı kullan (${formatDuration(ttlMinutes)} geçerli):\n${link}\n\nBu isteği sen yapmadıysan bu e-postayı görmezden gelebilirsin.`
+    });
+  }
+
+  async sendEmailVerification(user, token, ttlMinutes) {
+    const link = `${this.appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'E-posta adresini doğrula',
+      text: `Merhaba ${user.username},\n\nE-posta adresini doğrulamak için bu bağlantıyı kullan (${formatDuration(ttlMinutes)} geçerli):\n${link}`
+    });
+  }
+}
+
+module.exports = new Mailer();
+module.exports.OutboxTransport = OutboxTransport;
+module.exports.SmtpTransport = SmtpTransport;
@@ -0,0 +1,178 @@
+const Database = require('./database');
+
+// Personal data masked in chat messages before they are stored or sent to a
+// provider. Later turns and summaries are built from the stored text, so the
+// original values never leave the server.
+const PII_PATTERNS = [
+  {
+    type: 'email',
+    placeholder: '[E-POSTA]',
+    pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g
+  },
+  {
+    // Only numbers with a valid checksum, so long numbers in math questions stay
+    type: 'tc_kimlik',
+    placeholder: '[TC KİMLİK NO]',
+    pattern: /(?<!\d)[1-9]\d{10}(?!\d)/g,
+    validate: isValidTCKimlik
+  },
+  {
+    // 0532 123 45 67, +90 (532) 123-45-67, 5321234567, 0212 123 45 67
+    type: 'phone',
+    placeholder: '[TELEFON]',
+    pattern: /(?<![\d+])(?:(?:(?:\+|00)90[\s.-]?|0)\(?[2-5]\d{2}\)?|\(?5\d{2}\)?)[\s.-]?\d{3}[\s.-]?\d{2}[\s.-]?\d{2}(?!\d)/g
+  },
+  {
+    // Capitalized name followed by a school type: "Kadıköy Anadolu Lisesi'nde"
+    type: 'school',
+    placeholder: '[OKUL]',
+    pattern: /(?:\p{Lu}[\p{L}.'’]*\s+){1,5}(?:Lises|Ortaokul|İlkokul|Kolej|İmam\s+Hatip|Meslek\s+Yüksekokul)\p{L}*(?:['’]\p{L}+)?/gu
+  }
+];
+
+// Harmful topics by category. 'block' refuses the message; 'warn' lets it
+// through, records it and adds the rule's guidance to the system prompt.
+// Terms match at the start of a word, so Turkish suffixes are covered, and
+// without Turkish letters ("olmek istiyorum"), as students often type that way.
+// MODERATION_RULES (JSON) overrides or adds categories (null removes one), e.g.
+// {"exam_fraud":{"action":"block"},"violence":{"action":"warn","terms":["kavga"]}}
+const DEFAULT_RULES = {
+  self_harm: {
+    action: 'warn',
+    terms: ['intihar', 'kendimi öldür', 'kendime zarar', 'yaşamak istemiyorum', 'ölmek istiyorum'],
+    guidance: 'Öğrenci kendine zarar verme düşüncesinden bahsediyor olabilir. Yargılamadan ve şefkatle cevap ver, ' +
+      'güvende olup olmadığını sor; güvendiği bir yetişkinle veya okul rehber öğretmeniyle konuşmasını, ' +
+      'acil bir durumda 112\'yi aramasını öner. Bu mesajda ders anlatımına geçme.'
+  },
+  weapons: {
+    action: 'block',
+    terms: ['bomba yapımı', 'bomba nasıl yapılır', 'patlayıcı yapımı', 'patlayıcı nasıl yapılır', 'silah yapımı', 'silah nasıl yapılır']
+  },
+  drugs: {
+    action: 'block',
+    terms: ['uyuşturucu yapımı', 'uyuşturucu nasıl yapılır', 'uyuşturucu nereden', 'uyuşturucu satın']
+  },
+  exam_fraud: {
+    action: 'warn',
+    terms: ['soruları sızdır', 'sızdırılmış soru', 'sızan soru', 'kopya düzeneği', 'sınavda kopya'],
+    guidance: 'Öğrenci sınavda kopya veya sızdırılmış sorulardan bahsediyor. Bu konuda yardım etme; ' +
+      'kısaca dürüst çalışmanın önemini belirtip konuyu derse döndür.'
+  }
+};
+
+// Moderation pipeline for chat messages: PII masking, then the topic rules
+class Moderation {
+  constructor() {
+    this.rules = loadRules(process.env.MODERATION_RULES);
+  }
+
+  getRules() {
+    return {
+      pii: PII_PATTERNS.map(({ type, placeholder }) => ({ type, placeholder })),
+      rules: Object.entries(this.rules).map(([category, rule]) => ({
+        category,
+        action: rule.action,
+        terms: rule.terms,
+        guidance: rule.guidance || null
+      }))
+    };
+  }
+
+  // Mask PII and match the rules. action is the strictest outcome:
+  // 'block', 'warn', 'redact' (PII only) or null.
+  check(text) {
+    const { text: masked, redactions } = redact(text);
+    const normalized = fold(masked);
+    const matched = Object.entries(this.rules).filter(([, rule]) => rule.matcher.test(normalized));
+
+    let action = Object.keys(redactions).length > 0 ? 'redact' : null;
+    if (matched.some(([, rule]) => rule.action === 'warn')) action = 'warn';
+    if (matched.some(([, rule]) => rule.action === 'block')) action = 'block';
+
+    return {
+      action,
+      text: masked,
+      redactions,
+      categories: matched.map(([category]) => category),
+      guidance: matched.map(([, rule]) => rule.guidance).filter(Boolean)
+    };
+  }
+
+  // Keep a record of every moderated message for the admin panel
+  recordFlag(userId, result, { sessionId = null, messageId = null } = {}) {
+    if (!result.action) return null;
+
+    return Database.saveModerationFlag(userId, {
+      sessionId,
+      messageId,
+      action: result.action,
+      categories: result.categories,
+      redactions: result.redactions,
+      excerpt: result.text.substring(0, 500)
+    });
+  }
+}
+
+const FOLDED_LETTERS = { ı: 'i', ğ: 'g', ü: 'u', ş: 's', ö: 'o', ç: 'c', â: 'a', î: 'i', û: 'u' };
+
+function fold(text) {
+  return text.toLocaleLowerCase('tr').replace(/[ığüşöçâîû]/g, letter => FOLDED_LETTERS[letter]);
+}
+
+function redact(text) {
+  const redactions = {};
+
+  const masked = PII_PATTERNS.reduce((current, { type, placeholder, pattern, validate }) =>
+    current.replace(pattern, match => {
+      if (validate && !validate(match)) return match;
+      redactions[type] = (redactions[type] || 0) + 1;
+      return placeholder;
+    }), text);
+
+  return { text: masked, redactions };
+}
+
+// 10th digit: (7 * odd-position sum - even-position sum) mod 10; 11th: sum of the first ten mod 10
+function isValidTCKimlik(value) {
+  const digits = value.split('').map(Number);
+  const odd = digits[0] + digits[2] + digits[4] + digits[6] + digits[8];
+  const even = digits[1] + digits[3] + digits[5] + digits[7];
+
+  return (((odd * 7 - even) % 10) + 10) % 10 === digits[9] &&
+    digits.slice(0, 10).reduce((sum, digit) => sum + digit, 0) % 10 === digits[10];
+}
+
+function loadRules(config) {
+  const rules = { ...DEFAULT_RULES };
+
+  if (config) {
+    try {
+      for (const [category, rule] of Object.entries(JSON.parse(config))) {
+        if (rule === null) {
+          delete rules[category];
+        } else {
+          rules[category] = { ...(rules[category] || { action: 'warn', terms: [] }), ...rule };
+        }
+      }
+    } catch (error) {
+      console.warn('Invalid MODERATION_RULES, using default rules:', error.message);
+    }
+  }
+
+  for (const [category, rule] of Object.entries(rules)) {
+    if (!['warn', 'block'].includes(rule.action) || !Array.isArray(rule.terms) || rule.terms.length === 0) {
+      console.warn(`Ignoring moderation rule ${category}: needs action warn|block and a list of terms`);
+      delete rules[category];
+      continue;
+    }
+
+    const terms = rule.terms.map(term => fold(term).trim()
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\s+/g, '\\s+'));
+    rules[category] = { ...rule, matcher: new RegExp(`(?<!\\p{L})(?:${terms.join('|')})`, 'u') };
+  }
+
+  return rules;
+}
+
+module.exports = new Moderation();
@@ -0,0 +1,150 @@
+// Shared Python execution (used by /api/python and the chat agent's run_python tool)
+const { spawn } = require('child_process');
+const os = require('os');
+
+// Python execution options
+const PYTHON_EXECUTION_TIMEOUT = 10000; // 10 seconds
+const MAX_CODE_LENGTH = 10000; // 10KB
+const ALLOWED_MODULES = [
+  'math', 'random', 'datetime', 'statistics', 'collections', 
+  'itertools', 'functools', 'operator', 'json', 're', 'string',
+  'urllib.request', 'urllib.parse', 'xml.etree.ElementTree'
+];
+
+// Basic security checks
+const DANGEROUS_PATTERNS = [
+  /import\s+os/,
+  /import\s+sys/,
+  /import\s+subprocess/,
+  /import\s+eval/,
+  /exec\s*\(/,
+  /open\s*\(/,
+  /file\s*\(/,
+  /__import__/,
+  /globals\(\)/,
+  /locals\(\)/,
+  /eval\s*\(/,
+  /compile\s*\(/
+];
+
+// Reason the code is refused, or null if it may run
+function checkCode(code) {
+  if (!code || typeof code !== 'string') {
+    return { error: 'Invalid code', message: 'Code must be a non-empty string' };
+  }
+
+  if (code.length > MAX_CODE_LENGTH) {
+    return { error: 'Code too long', message: `Code length cannot exceed ${MAX_CODE_LENGTH} characters` };
+  }
+
+  const pattern = DANGEROUS_PATTERNS.find(pattern => pattern.test(code));
+  if (pattern) {
+    return { error: 'Unsafe code', message: 'Code contains potentially dangerous operations', pattern };
+  }
+
+  return null;
+}
+
+// Runs user code in a separate, isolated python3 process (-I: no environment
+// variables, user site-packages or script directory on the path) with an
+// empty environment, a memory limit, a wall-clock timeout and an output cap
+const PYTHON_BIN = process.env.PYTHON_BIN || 'python3';
+const MAX_OUTPUT_LENGTH = 64 * 1024; // per stream
+const MEMORY_LIMIT_BYTES = 256 * 1024 * 1024;
+
+const BOOTSTRAP = [
+  'import resource, sys',
+  'try:',
+  `    resource.setrlimit(resource.RLIMIT_AS, (${MEMORY_LIMIT_BYTES}, ${MEMORY_LIMIT_BYTES}))`,
+  'except (ValueError, OSError):',
+  '    pass',
+  'source = sys.argv.pop(1)',
+  "exec(compile(source, '<code>', 'exec'), {'__name__': '__main__'})"
+].join('\n');
+
+// Run code that passed checkCode(); resolves to { success, output, error, executionTime, outputLines }
+function runPythonCode(code, { input = '', timeout = PYTHON_EXECUTION_TIMEOUT, echo = true } = {}) {
+  const startTime = Date.now();
+
+  return new Promise(resolve => {
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let truncated = false;
+
+    const child = spawn(PYTHON_BIN, ['-I', '-c', BOOTSTRAP, code], {
+      cwd: os.tmpdir(),
+      env: { PATH: process.env.PATH, PYTHONIOENCODING: 'utf-8' },
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeout);
+
+    const collect = (current, chunk) => {
+      const next = current + chunk.toString('utf-8');
+      if (next.length > MAX_OUTPUT_LENGTH) {
+        truncated = true;
+        child.kill('SIGKILL');
+        return next.substring(0, MAX_OUTPUT_LENGTH);
+      }
+      return next;
+    };
+    child.stdout.on('data', chunk => { stdout = collect(stdout, chunk); });
+    child.stderr.on('data', chunk => { stderr = collect(stderr, chunk); });
+
+    const finish = (exitCode, spawnError = null) => {
+      clearTimeout(timer);
+
+      const output = stdout.replace(/\s+$/, '');
+      let error = null;
+      if (spawnError) {
+        error = `Execution error: ${spawnError.message}`;
+      } else if (timedOut) {
+        error = 'Execution timeout - code took too long to run';
+      } else if (truncated) {
+        error = `Output limit exceeded (${MAX_OUTPUT_LENGTH / 1024} KB)`;
+      } else if (exitCode !== 0) {
+        error = formatTraceback(stderr) || `Process exited with code ${exitCode}`;
+      }
+
+      if (echo && output) {
+        console.log('[Python Output]', output);
+      }
+
+      resolve({
+        success: error === null,
+        output,
+        error,
+        executionTime: Date.now() - startTime,
+        outputLines: output ? output.split('\n').length : 0
+      });
+    };
+
+    child.on('error', error => finish(null, error));
+    child.on('close', exitCode => finish(exitCode));
+
+    // EPIPE if the code exits without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(input);
+  });
+}
+
+// Traceback without the bootstrap's own frame
+function formatTraceback(stderr) {
+  return stderr
+    .split('\n')
+    .filter(line => !line.includes('File "<string>"'))
+    .join('\n')
+    .trim();
+}
+
+module.exports = {
+  PYTHON_EXECUTION_TIMEOUT,
+  MAX_CODE_LENGTH,
+  ALLOWED_MODULES,
+  checkCode,
+  runPythonCode
+};
@@ -0,0 +1,126 @@
+const Database = require('./database');
+
+// Daily and monthly LLM token budgets per plan (null = no limit).
+// LLM_QUOTA_PLANS (JSON) overrides limits or adds plans, e.g.
+// {"free":{"daily":30000},"school":{"daily":100000,"monthly":2000000}}
+const DEFAULT_PLANS = {
+  guest: { daily: 10000, monthly: 100000 },
+  free: { daily: 50000, monthly: 1000000 },
+  premium: { daily: 200000, monthly: 5000000 },
+  unlimited: { daily: null, monthly: null }
+};
+
+const DEFAULT_PLAN = 'free';
+
+// Per-user token accounting: every provider call is recorded in llm_usage
+// and requests are refused once the day's or month's budget is used up.
+// Periods are calendar days and months in UTC.
+class TokenQuota {
+  constructor() {
+    this.plans = loadPlans(process.env.LLM_QUOTA_PLANS);
+  }
+
+  getPlanNames() {
+    return Object.keys(this.plans);
+  }
+
+  // Plans that were removed from the configuration fall back to the default
+  getPlan(planName) {
+    const name = this.plans[planName] ? planName : DEFAULT_PLAN;
+    return { name, ...this.plans[name] };
+  }
+
+  // Guests always use the guest plan, whatever their placeholder row says
+  planFor(user) {
+    return this.getPlan(user.isGuest ? 'guest' : user.plan);
+  }
+
+  // Used and remaining tokens in the current day and month
+  getStatus(user, now = new Date()) {
+    const plan = this.planFor(user);
+    const status = { plan: plan.name, exceeded: null };
+
+    for (const period of ['daily', 'monthly']) {
+      const { start, end } = periodBounds(period, now);
+      const used = user.isGuest
+        ? Database.getGuestLLMTokensUsed(user.ip, toSQLiteTimestamp(start))
+        : Database.getLLMTokensUsed(user.id, toSQLiteTimestamp(start));
+      const limit = plan[period];
+
+      status[period] = {
+        used,
+        limit,
+        remaining: limit === null ? null : Math.max(limit - used, 0),
+        since: start.toISOString(),
+        resetAt: end.toISOString()
+      };
+
+      // Report the budget that stays exhausted the longest
+      if (limit !== null && used >= limit) {
+        status.exceeded = period;
+      }
+    }
+
+    return status;
+  }
+
+  // This month's usage per provider and model
+  getUsageByProvider(userId, now = new Date()) {
+    const { start } = periodBounds('monthly', now);
+    return Database.getLLMUsageByProvider(userId, toSQLiteTimestamp(start));
+  }
+
+  // Charge for a provider call; guestIp for calls made by guests
+  recordUsage(userId, { sessionId = null, messageId = null, purpose = 'chat', provider, model = null, usage, estimated = false, guestIp = null }) {
+    return Database.saveLLMUsage(userId, { sessionId, messageId, purpose, provider, model, usage, estimated, guestIp });
+  }
+
+  // For providers that report no usage (e.g. a stream cut short): an
+  // estimate from the prompt and reply length
+  estimateUsage(request, text = '') {
+    const prompt = request
+      ? [request.system || '', ...request.messages.map(message => message.content)].join('\n')
+      : '';
+    const promptTokens = estimateTokens(prompt);
+    const completionTokens = estimateTokens(text);
+
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+}
+
+// Current UTC calendar day or month
+function periodBounds(period, now) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+
+  return period === 'daily'
+    ? { start: new Date(Date.UTC(year, month, now.getUTCDate())), end: new Date(Date.UTC(year, month, now.getUTCDate() + 1)) }
+    : { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+}
+
+// CURRENT_TIMESTAMP format, so timestamps compare as strings
+function toSQLiteTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Same rough estimate (~4 characters per token) as the conversation budget
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function loadPlans(config) {
+  const plans = { ...DEFAULT_PLANS };
+  if (!config) return plans;
+
+  try {
+    for (const [name, limits] of Object.entries(JSON.parse(config))) {
+      plans[name] = { ...(plans[name] || { daily: null, monthly: null }), ...limits };
+    }
+  } catch (error) {
+    console.warn('Invalid LLM_QUOTA_PLANS, using default plans:', error.message);
+  }
+
+  return plans;
+}
+
+module.exports = new TokenQuota();
@@ -18,12 +18,9 @@ class RAGSystem {
     try {
       console.log('🧠 Initializing RAG System...');
       
-      // Load knowledge base from files
+      // Load knowledge base from files (addDocument chunks each document)
       await this.loadKnowledgeBase();
       
-      // Process and chunk documents
-      await this.processDocuments();
-      
       // Create embeddings for chunks
       await this.createEmbeddings();
       
@@ -0,0 +1,16 @@
+// Active chat sessions (in-memory for demo, use Redis in production)
+class ChatSessionStore extends Map {
+  // Drop every session owned by a user; returns how many were removed
+  deleteByUser(userId) {
+    let removed = 0;
+    for (const [sessionId, session] of this) {
+      if (session.userId === userId) {
+        this.delete(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = new ChatSessionStore();
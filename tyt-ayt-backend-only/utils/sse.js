@@ -0,0 +1,47 @@
+// Server-Sent Events helpers (streaming to clients and reading upstream streams)
+
+// Prepare an Express response for an event stream
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // disable proxy buffering (nginx, Render)
+  });
+  res.flushHeaders();
+}
+
+function writeEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Yield the data payload of each event in an upstream SSE byte stream
+async function* readEventStream(stream) {
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trimStart())
+        .join('\n');
+
+      if (data) yield data;
+    }
+  }
+}
+
+module.exports = {
+  openEventStream,
+  writeEvent,
+  readEventStream
+};
@@ -0,0 +1,210 @@
+// Study statistics helpers shared by the user, guardian and classroom routes
+
+function calculateStudyStreak(studyDates) {
+  if (studyDates.length === 0) return 0;
+  
+  const sortedDates = studyDates.sort((a, b) => new Date(b) - new Date(a));
+  const today = new Date().toDateString();
+  
+  let streak = 0;
+  let currentDate = new Date();
+  
+  for (const studyDate of sortedDates) {
+    const studyDateObj = new Date(studyDate);
+    const dayDiff = Math.floor((currentDate - studyDateObj) / (1000 * 60 * 60 * 24));
+    
+    if (dayDiff === streak) {
+      streak++;
+      currentDate = new Date(studyDateObj);
+    } else {
+      break;
+    }
+  }
+  
+  return streak;
+}
+
+function getSubjectBreakdown(progress) {
+  const subjects = {};
+  progress.forEach(p => {
+    if (!subjects[p.subject]) {
+      subjects[p.subject] = { total: 0, completed: 0, progress: 0 };
+    }
+    subjects[p.subject].total++;
+    if (p.completed) {
+      subjects[p.subject].completed++;
+    }
+    subjects[p.subject].progress = (subjects[p.subject].completed / subjects[p.subject].total) * 100;
+  });
+  return subjects;
+}
+
+function getAchievementCategories(achievements) {
+  const categories = {};
+  achievements.forEach(ach => {
+    if (!categories[ach.achievement_type]) {
+      categories[ach.achievement_type] = 0;
+    }
+    categories[ach.achievement_type]++;
+  });
+  return categories;
+}
+
+function calculateAverageSession(sessions) {
+  if (sessions.length === 0) return 0;
+  const totalTime = sessions.reduce((sum, session) => sum + session.duration, 0);
+  return Math.round(totalTime / sessions.length);
+}
+
+function getMostActiveSubject(progress) {
+  const subjectCounts = {};
+  progress.forEach(p => {
+    subjectCounts[p.subject] = (subjectCounts[p.subject] || 0) + 1;
+  });
+  
+  if (Object.keys(subjectCounts).length === 0) return null;
+
+  const mostActive = Object.keys(subjectCounts).reduce((a, b) => 
+    subjectCounts[a] > subjectCounts[b] ? a : b
+  );
+  
+  return mostActive;
+}
+
+function calculateWeeklyProgress(sessions) {
+  const oneWeekAgo = new Date();
+  oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
+  
+  const weeklySessions = sessions.filter(session => 
+    new Date(session.timestamp) >= oneWeekAgo
+  );
+  
+  return weeklySessions.reduce((sum, session) => sum + session.duration, 0);
+}
+
+function filterByPeriod(sessions, period) {
+  const startDate = getPeriodStart(period);
+  return sessions.filter(session => new Date(session.timestamp) >= startDate);
+}
+
+function getPeriodStart(period) {
+  const now = new Date();
+  let startDate = new Date();
+  
+  switch (period) {
+    case 'day':
+      startDate.setHours(0, 0, 0, 0);
+      break;
+    case 'week':
+      startDate.setDate(now.getDate() - 7);
+      break;
+    case 'month':
+      startDate.setMonth(now.getMonth() - 1);
+      break;
+    case 'year':
+      startDate.setFullYear(now.getFullYear() - 1);
+      break;
+    default:
+      startDate.setDate(now.getDate() - 7);
+  }
+  
+  return startDate;
+}
+
+function getSessionsBySubject(sessions) {
+  const subjects = {};
+  sessions.forEach(session => {
+    if (!subjects[session.subject]) {
+      subjects[session.subject] = { sessions: 0, totalTime: 0 };
+    }
+    subjects[session.subject].sessions++;
+    subjects[session.subject].totalTime += session.duration;
+  });
+  return subjects;
+}
+
+function getDailyBreakdown(sessions) {
+  const dailyStats = {};
+  sessions.forEach(session => {
+    const date = new Date(session.timestamp).toDateString();
+    if (!dailyStats[date]) {
+      dailyStats[date] = { sessions: 0, totalTime: 0 };
+    }
+    dailyStats[date].sessions++;
+    dailyStats[date].totalTime += session.duration;
+  });
+  return dailyStats;
+}
+
+function getProductivityTrend(sessions) {
+  // Simple productivity trend calculation
+  const recentSessions = sessions.slice(0, 10);
+  const avgScore = recentSessions.reduce((sum, session) => 
+    sum + (session.productivity_score || 0), 0) / recentSessions.length;
+  
+  return {
+    recentAverage: Math.round(avgScore * 100) / 100,
+    trend: avgScore > 0.7 ? 'increasing' : avgScore < 0.4 ? 'decreasing' : 'stable'
+  };
+}
+
+// Study statistics for a period (as returned by /api/user/statistics)
+function buildStudyStatistics(sessions, period = 'week') {
+  const filteredSessions = filterByPeriod(sessions, period);
+
+  return {
+    period,
+    totalSessions: filteredSessions.length,
+    totalTime: filteredSessions.reduce((sum, session) => sum + session.duration, 0),
+    averageSessionTime: calculateAverageSession(filteredSessions),
+    sessionsBySubject: getSessionsBySubject(filteredSessions),
+    weeklyProgress: calculateWeeklyProgress(filteredSessions),
+    dailyBreakdown: getDailyBreakdown(filteredSessions),
+    productivityTrend: getProductivityTrend(filteredSessions)
+  };
+}
+
+// Achievement rows in API shape, optionally filtered by type
+function formatAchievements(achievements, category = null) {
+  const filteredAchievements = category
+    ? achievements.filter(ach => ach.achievement_type === category)
+    : achievements;
+
+  return filteredAchievements.map(ach => ({
+    id: ach.id,
+    type: ach.achievement_type,
+    name: ach.achievement_name,
+    description: ach.description,
+    earnedAt: ach.earned_at,
+    metadata: JSON.parse(ach.metadata || '{}')
+  }));
+}
+
+// Study session rows in API shape
+function formatStudySessions(sessions) {
+  return sessions.map(session => ({
+    id: session.id,
+    subject: session.subject,
+    duration: session.duration,
+    topicsCovered: JSON.parse(session.topics_covered || '[]'),
+    productivityScore: session.productivity_score,
+    timestamp: session.timestamp
+  }));
+}
+
+module.exports = {
+  calculateStudyStreak,
+  getSubjectBreakdown,
+  getAchievementCategories,
+  calculateAverageSession,
+  getMostActiveSubject,
+  calculateWeeklyProgress,
+  filterByPeriod,
+  getPeriodStart,
+  getSessionsBySubject,
+  getDailyBreakdown,
+  getProductivityTrend,
+  buildStudyStatistics,
+  formatAchievements,
+  formatStudySessions
+};
@@ -0,0 +1,178 @@
+const Database = require('./database');
+const RAGSystem = require('./rag');
+const Logger = require('./logger');
+const { checkCode, runPythonCode } = require('./python');
+
+// Tools the chat assistant can call. Each one has a JSON Schema for its
+// arguments (sent to the provider) and run(args, context), where context is
+// { userId, sessionId, ip, userAgent } of the chat turn.
+// A ToolError is a refusal the model should see and work around.
+class ToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ToolError';
+  }
+}
+
+const TOOLS = {
+  run_python: {
+    description: 'Python kodunu çalıştırır ve çıktısını döndürür. Bir hesaplamayı doğrulamak veya öğrencinin kodunu denemek için kullan.',
+    parameters: {
+      type: 'object',
+      properties: {
+        code: { type: 'string', description: 'Çalıştırılacak Python kodu; sonucu print ile yazdır' },
+        input: { type: 'string', description: 'Programın standart girdisi (opsiyonel)' }
+      },
+      required: ['code']
+    },
+    async run({ code, input = '' }, context) {
+      const problem = checkCode(code);
+      if (problem) {
+        if (problem.pattern) {
+          Logger.logSecurityEvent('python_code_blocked', {
+            userId: context.userId,
+            ip: context.ip,
+            userAgent: context.userAgent,
+            source: 'chat_tool',
+            pattern: problem.pattern.toString(),
+            codeLength: code.length
+          });
+        }
+        throw new ToolError(problem.message);
+      }
+
+      const execution = await runPythonCode(code, { input: String(input), echo: false });
+      Database.savePythonExecution(
+        context.userId,
+        code,
+        execution.output,
+        execution.error,
+        execution.success,
+        execution.executionTime
+      );
+
+      return {
+        success: execution.success,
+        output: execution.output,
+        error: execution.error,
+        executionTime: execution.executionTime
+      };
+    }
+  },
+
+  search_knowledge_base: {
+    description: 'TYT/AYT ders notlarında arama yapar. Konu anlatımı, formül veya tanım gerektiğinde kullan.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Aranacak konu veya soru' },
+        category: { type: 'string', description: 'Ders kategorisi (opsiyonel), örnek: matematik, fizik' }
+      },
+      required: ['query']
+    },
+    async run({ query, category = null }) {
+      requireText(query, 'query');
+
+      const results = await RAGSystem.search(query, {
+        category: typeof category === 'string' && category ? category : null,
+        maxResults: 3,
+        minScore: 0.1
+      });
+
+      return {
+        results: results.map(result => ({
+          title: result.chunk.title,
+          category: result.chunk.category,
+          content: result.chunk.content.substring(0, 800),
+          score: Math.round(result.score * 100) / 100
+        }))
+      };
+    }
+  },
+
+  find_videos: {
+    description: 'Daha önce bulunmuş YouTube konu anlatım videoları arasında arar. Öğrenciye video önerirken kullan.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Konu, örnek: türev konu anlatımı' },
+        maxResults: { type: 'integer', description: 'En fazla kaç video (1-5)', minimum: 1, maximum: 5 }
+      },
+      required: ['query']
+    },
+    async run({ query, maxResults = 3 }) {
+      requireText(query, 'query');
+
+      const limit = Math.min(Math.max(parseInt(maxResults) || 3, 1), 5);
+      const videos = Database.searchYouTubeVideos(query, limit);
+
+      return {
+        videos: videos.map(video => ({
+          videoId: video.video_id,
+          title: video.title,
+          channelTitle: video.channel_title,
+          duration: video.duration,
+          viewCount: video.view_count,
+          url: `https://www.youtube.com/watch?v=${video.video_id}`
+        }))
+      };
+    }
+  }
+};
+
+function requireText(value, name) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new ToolError(`${name} must be a non-empty string`);
+  }
+}
+
+// Definitions in the provider request format
+function getToolDefinitions() {
+  return Object.entries(TOOLS).map(([name, tool]) => ({
+    name,
+    description: tool.description,
+    parameters: tool.parameters
+  }));
+}
+
+// Run one tool call from the model. Never throws: failures become the
+// result the model gets back, so it can explain or try something else.
+async function runTool(toolCall, context) {
+  const startTime = Date.now();
+  const tool = TOOLS[toolCall.name];
+  const invocation = {
+    id: toolCall.id,
+    name: toolCall.name,
+    arguments: toolCall.arguments,
+    ok: false,
+    result: null,
+    error: null
+  };
+
+  try {
+    if (!tool) {
+      throw new ToolError(`Unknown tool: ${toolCall.name}`);
+    }
+    if (toolCall.arguments?._invalid !== undefined) {
+      throw new ToolError('Arguments must be valid JSON');
+    }
+
+    invocation.result = await tool.run(toolCall.arguments || {}, context);
+    invocation.ok = true;
+  } catch (error) {
+    if (!(error instanceof ToolError)) {
+      console.warn(`Tool ${toolCall.name} failed:`, error.message);
+    }
+    invocation.error = error.message;
+  }
+
+  invocation.durationMs = Date.now() - startTime;
+  return invocation;
+}
+
+module.exports = {
+  TOOLS,
+  ToolError,
+  getToolDefinitions,
+  runTool
+};
@@ -0,0 +1,423 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Marked } = require('marked');
+const katex = require('katex');
+const PDFDocument = require('pdfkit');
+const { getTutorMode } = require('./tutors');
+const { attachmentPath } = require('./attachments');
+
+// Chat session exports (Markdown, standalone HTML, PDF) for students to keep
+// worked solutions. Everything is rendered locally; no external services.
+const TRANSCRIPT_FORMATS = {
+  markdown: { extension: 'md' },
+  html: { extension: 'html' },
+  pdf: { extension: 'pdf' }
+};
+
+// DejaVu covers Turkish letters (ğ, ş, ı) that the standard PDF fonts lack
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const PDF_FONTS = {
+  body: 'DejaVuSans.ttf',
+  bold: 'DejaVuSans-Bold.ttf',
+  italic: 'DejaVuSans-Oblique.ttf',
+  boldItalic: 'DejaVuSans-BoldOblique.ttf',
+  mono: 'DejaVuSansMono.ttf'
+};
+const PDF_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+const SPEAKERS = { user: 'Öğrenci', assistant: 'Asistan' };
+
+// $$...$$ / \[...\] blocks and $...$ / \(...\) inline math, as the models write it.
+// A lone $ (prices) is left alone: inline math may not start or end with a space.
+const mathExtensions = [
+  {
+    name: 'blockMath',
+    level: 'block',
+    start: src => src.match(/\$\$|\\\[/)?.index,
+    tokenizer(src) {
+      const match = /^(?:\$\$([\s\S]+?)\$\$|\\\[([\s\S]+?)\\\])[ \t]*(?:\n|$)/.exec(src);
+      if (match) {
+        return { type: 'blockMath', raw: match[0], text: (match[1] ?? match[2]).trim() };
+      }
+    },
+    renderer: token => `<div class="math">${renderMath(token.text, true)}</div>\n`
+  },
+  {
+    name: 'inlineMath',
+    level: 'inline',
+    start: src => src.match(/\$|\\\(/)?.index,
+    tokenizer(src) {
+      const match = /^(?:\$\$([^$]+?)\$\$|\$(?!\s)([^$\n]+?)(?<!\s)\$(?!\d)|\\\(([\s\S]+?)\\\))/.exec(src);
+      if (match) {
+        return { type: 'inlineMath', raw: match[0], text: (match[1] ?? match[2] ?? match[3]).trim(), display: !!match[1] };
+      }
+    },
+    renderer: token => renderMath(token.text, token.display)
+  }
+];
+
+// Model output is untrusted: raw HTML is shown as text and only web links are kept
+const markdown = new Marked({
+  gfm: true,
+  breaks: true,
+  extensions: mathExtensions,
+  renderer: {
+    html(token) {
+      return escapeHtml(token.text);
+    },
+    link(token) {
+      if (!/^(https?:|mailto:)/i.test(token.href)) {
+        return this.parser.parseInline(token.tokens);
+      }
+      return false;
+    },
+    image(token) {
+      return escapeHtml(token.text);
+    }
+  }
+});
+
+// MathML needs no stylesheet or fonts, so the HTML stays standalone
+function renderMath(tex, displayMode) {
+  return katex.renderToString(tex, { output: 'mathml', displayMode, throwOnError: false });
+}
+
+// Session row, its chat_history rows (oldest first) and attachment rows
+function buildTranscript(chatSession, rows, attachments) {
+  return {
+    title: chatSession.title || 'Sohbet',
+    subject: chatSession.subject,
+    tutorMode: getTutorMode(chatSession.tutor_mode)?.name || chatSession.tutor_mode,
+    createdAt: chatSession.created_at,
+    exportedAt: new Date().toISOString(),
+    messages: rows.map(row => {
+      const metadata = JSON.parse(row.metadata || '{}');
+
+      return {
+        role: row.is_user ? 'user' : 'assistant',
+        content: row.message,
+        timestamp: row.timestamp,
+        attachments: attachments.filter(attachment => attachment.message_id === row.id),
+        citations: metadata.citations || []
+      };
+    })
+  };
+}
+
+function describeSession(transcript) {
+  return [
+    ...(transcript.subject ? [`Konu: ${transcript.subject}`] : []),
+    `Öğretmen modu: ${transcript.tutorMode}`,
+    `Başlangıç: ${formatTime(transcript.createdAt)}`,
+    `Dışa aktarma: ${formatTime(transcript.exportedAt)}`
+  ];
+}
+
+function describeCitation(citation) {
+  return `[${citation.index}] ${citation.title}${citation.category ? ` (${citation.category})` : ''}`;
+}
+
+// SQLite and ISO timestamps, both UTC
+function formatTime(timestamp) {
+  return `${String(timestamp).replace('T', ' ').slice(0, 16)} UTC`;
+}
+
+function renderMarkdown(transcript) {
+  const lines = [`# ${transcript.title}`, '', ...describeSession(transcript).map(line => `- ${line}`), ''];
+
+  for (const message of transcript.messages) {
+    lines.push('---', '', `### ${SPEAKERS[message.role]} · ${formatTime(message.timestamp)}`, '');
+
+    if (message.content) {
+      lines.push(message.content, '');
+    }
+    for (const attachment of message.attachments) {
+      lines.push(`*Ekli görsel: ${attachment.file_name}*`, '');
+    }
+    if (message.citations.length > 0) {
+      lines.push('**Kaynaklar**', '', ...message.citations.map(citation => `- ${describeCitation(citation)}`), '');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+async function renderHTML(transcript) {
+  const sections = [];
+
+  for (const message of transcript.messages) {
+    const images = [];
+    for (const attachment of message.attachments) {
+      const data = await readAttachment(attachment);
+      images.push(data
+        ? `<img src="data:${attachment.mime_type};base64,${data.toString('base64')}" alt="${escapeHtml(attachment.file_name)}">`
+        : `<p class="note">Görsel bulunamadı: ${escapeHtml(attachment.file_name)}</p>`);
+    }
+
+    sections.push(`
+<section class="message ${message.role}">
+  <header>${SPEAKERS[message.role]} <time>${formatTime(message.timestamp)}</time></header>
+  ${markdown.parse(message.content || '')}
+  ${images.join('\n  ')}
+  ${message.citations.length > 0 ? `<aside class="sources"><strong>Kaynaklar</strong><ul>${
+    message.citations.map(citation => `<li>${escapeHtml(describeCitation(citation))}</li>`).join('')
+  }</ul></aside>` : ''}
+</section>`);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(transcript.title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Roboto, "DejaVu Sans", sans-serif; max-width: 800px; margin: 2rem auto; padding: 0 1rem; color: #1f2933; line-height: 1.6; }
+  h1 { margin-bottom: 0.25rem; }
+  .meta { color: #616e7c; font-size: 0.9rem; padding: 0; list-style: none; }
+  .message { border-top: 1px solid #e4e7eb; padding: 1rem 0; page-break-inside: avoid; }
+  .message header { font-weight: bold; margin-bottom: 0.5rem; }
+  .message.user header { color: #2563eb; }
+  .message.assistant header { color: #15803d; }
+  time { color: #9aa5b1; font-weight: normal; font-size: 0.85rem; margin-left: 0.5rem; }
+  pre { background: #f5f7fa; padding: 0.75rem; overflow-x: auto; border-radius: 4px; }
+  code { font-family: "DejaVu Sans Mono", Menlo, Consolas, monospace; font-size: 0.9em; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #cbd2d9; padding: 0.25rem 0.5rem; }
+  .math { text-align: center; margin: 0.75rem 0; }
+  img { max-width: 100%; max-height: 480px; display: block; margin: 0.5rem 0; }
+  .sources { font-size: 0.85rem; color: #52606d; }
+  .sources ul { margin: 0.25rem 0; }
+  .note { color: #9aa5b1; font-style: italic; }
+  @media print { body { margin: 0; } pre { white-space: pre-wrap; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(transcript.title)}</h1>
+<ul class="meta">${describeSession(transcript).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Resolves to a finished PDFDocument, ready to be piped to the response
+async function createPDF(transcript) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: transcript.title } });
+  for (const [name, file] of Object.entries(PDF_FONTS)) {
+    doc.registerFont(name, path.join(FONT_DIR, file));
+  }
+
+  doc.font('bold').fontSize(18).fillColor('#1f2933').text(transcript.title);
+  doc.font('body').fontSize(9).fillColor('#616e7c').text(describeSession(transcript).join('  ·  '));
+  doc.moveDown();
+
+  for (const message of transcript.messages) {
+    rule(doc);
+    doc.font('bold').fontSize(11).fillColor(message.role === 'user' ? '#2563eb' : '#15803d')
+      .text(SPEAKERS[message.role], { continued: true })
+      .font('body').fontSize(9).fillColor('#9aa5b1')
+      .text(`  ${formatTime(message.timestamp)}`);
+    doc.moveDown(0.3);
+
+    writeBlocks(doc, markdown.lexer(message.content || ''));
+
+    for (const attachment of message.attachments) {
+      await writeImage(doc, attachment);
+    }
+
+    if (message.citations.length > 0) {
+      doc.x = doc.page.margins.left;
+      doc.font('bold').fontSize(9).fillColor('#52606d').text('Kaynaklar');
+      doc.font('body').text(message.citations.map(describeCitation).join('\n'));
+      doc.moveDown(0.5);
+    }
+  }
+
+  // Page numbers go in the bottom margin
+  const { count } = doc.bufferedPageRange();
+  for (let i = 0; i < count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('body').fontSize(8).fillColor('#9aa5b1')
+      .text(`${i + 1} / ${count}`, doc.page.margins.left, doc.page.height - bottom / 2, { width: contentWidth(doc), align: 'center' });
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  return doc;
+}
+
+function contentWidth(doc, indent = 0) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right - indent;
+}
+
+function rule(doc) {
+  const y = doc.y + 4;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(0.5).strokeColor('#e4e7eb').stroke();
+  doc.moveDown(0.8);
+}
+
+const HEADING_SIZES = { 1: 15, 2: 13, 3: 12, 4: 11, 5: 11, 6: 11 };
+
+// Block tokens of one message, in the spirit of the HTML export
+function writeBlocks(doc, tokens, { indent = 0, color = '#1f2933' } = {}) {
+  const position = () => {
+    doc.x = doc.page.margins.left + indent;
+    return { width: contentWidth(doc, indent) };
+  };
+
+  for (const token of tokens) {
+    switch (token.type) {
+      case 'heading':
+        doc.moveDown(0.3);
+        writeInline(doc, inlineSegments(token.tokens, { bold: true }), { ...position(), size: HEADING_SIZES[token.depth], color });
+        doc.moveDown(0.3);
+        break;
+      case 'paragraph':
+        writeInline(doc, inlineSegments(token.tokens), { ...position(), color });
+        doc.moveDown(0.5);
+        break;
+      case 'text':
+        writeInline(doc, token.tokens ? inlineSegments(token.tokens) : [{ text: token.text, style: {} }], { ...position(), color });
+        break;
+      case 'code':
+        doc.font('mono').fontSize(9).fillColor('#334e68').text(token.text, doc.page.margins.left + indent + 10, doc.y, { width: contentWidth(doc, indent + 10) });
+        doc.moveDown(0.5);
+        break;
+      case 'blockMath':
+        doc.font('mono').fontSize(10).fillColor(color).text(token.text, { ...position(), align: 'center' });
+        doc.moveDown(0.5);
+        break;
+      case 'blockquote':
+        writeBlocks(doc, token.tokens, { indent: indent + 15, color: '#616e7c' });
+        break;
+      case 'list':
+        token.items.forEach((item, index) => {
+          const marker = token.ordered ? `${(Number(token.start) || 1) + index}.` : '•';
+          const y = doc.y;
+          doc.font('body').fontSize(10).fillColor(color).text(marker, doc.page.margins.left + indent, y, { width: 15 });
+          doc.y = y;
+          writeBlocks(doc, item.tokens, { indent: indent + 15, color });
+        });
+        doc.moveDown(0.5);
+        break;
+      case 'table':
+        writeInline(doc, tableRow(token.header, { bold: true }), { ...position(), color });
+        for (const row of token.rows) {
+          writeInline(doc, tableRow(row), { ...position(), color });
+        }
+        doc.moveDown(0.5);
+        break;
+      case 'hr':
+        rule(doc);
+        break;
+      case 'space':
+        break;
+      default:
+        writeInline(doc, [{ text: token.text ?? token.raw, style: {} }], { ...position(), color });
+    }
+  }
+}
+
+function tableRow(cells, style = {}) {
+  return cells.flatMap((cell, index) => [
+    ...(index > 0 ? [{ text: '  |  ', style: {} }] : []),
+    ...inlineSegments(cell.tokens, style)
+  ]);
+}
+
+// Flatten inline tokens into runs of text with one style each
+function inlineSegments(tokens, style = {}) {
+  return tokens.flatMap(token => {
+    switch (token.type) {
+      case 'strong':
+        return inlineSegments(token.tokens, { ...style, bold: true });
+      case 'em':
+        return inlineSegments(token.tokens, { ...style, italic: true });
+      case 'del':
+        return inlineSegments(token.tokens, { ...style, strike: true });
+      case 'link':
+        return inlineSegments(token.tokens, { ...style, link: /^(https?:|mailto:)/i.test(token.href) ? token.href : null });
+      case 'codespan':
+      case 'inlineMath':
+        return [{ text: token.text, style: { ...style, mono: true } }];
+      case 'br':
+        return [{ text: '\n', style }];
+      case 'text':
+        return token.tokens ? inlineSegments(token.tokens, style) : [{ text: token.text, style }];
+      default:
+        // escape, html, image: their text as written
+        return [{ text: token.text ?? token.raw, style }];
+    }
+  });
+}
+
+function writeInline(doc, segments, { width, size = 10, color }) {
+  const runs = segments.filter(segment => segment.text);
+
+  runs.forEach((segment, index) => {
+    const { bold, italic, mono, strike, link } = segment.style;
+    const font = mono ? 'mono' : bold && italic ? 'boldItalic' : bold ? 'bold' : italic ? 'italic' : 'body';
+
+    doc.font(font).fontSize(mono ? size - 1 : size).fillColor(link ? '#2563eb' : color)
+      .text(segment.text, { width, continued: index < runs.length - 1, link: link || null, underline: !!link, strike: !!strike });
+  });
+}
+
+async function writeImage(doc, attachment) {
+  const data = PDF_IMAGE_TYPES.includes(attachment.mime_type) ? await readAttachment(attachment) : null;
+  let image = null;
+
+  // Uploads are only checked by their first bytes; a broken image becomes a note
+  try {
+    image = data && doc.openImage(data);
+  } catch (error) {
+    console.warn('Attachment image unreadable:', error.message);
+  }
+
+  doc.x = doc.page.margins.left;
+
+  if (!image) {
+    doc.font('italic').fontSize(9).fillColor('#9aa5b1').text(`Ekli görsel: ${attachment.file_name}`);
+    doc.moveDown(0.5);
+    return;
+  }
+
+  const scale = Math.min(1, contentWidth(doc) / image.width, 300 / image.height);
+  if (doc.y + image.height * scale > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+
+  doc.image(image, doc.page.margins.left, doc.y, { width: image.width * scale });
+  doc.y += image.height * scale;
+  doc.moveDown(0.5);
+}
+
+async function readAttachment(attachment) {
+  try {
+    return await fs.readFile(attachmentPath(attachment));
+  } catch (error) {
+    console.warn('Attachment read failed:', error.message);
+    return null;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  TRANSCRIPT_FORMATS,
+  buildTranscript,
+  renderMarkdown,
+  renderHTML,
+  createPDF
+};